@@ -0,0 +1,73 @@
+const { generate } = require('./lib/generate');
+const { rank } = require('./lib/rank');
+const { coordinate, joinCoordinator } = require('./lib/distributed');
+const { verify } = require('./lib/verify');
+const { analyzePattern } = require('./lib/pattern');
+const { inspectOnionAddress } = require('./lib/inspect');
+const {
+    base32Encode,
+    base32Decode,
+    onionAddressFromPublicKey,
+    calcOnionFromPub,
+    generateOnionAddress,
+    expandSecretKey,
+    derivePubFromSeedHex,
+    derivePubFromExpandedHex
+} = require('./lib/onion');
+const { readHiddenServiceDir, writeHiddenServiceDir } = require('./lib/hsdir');
+const { isEncrypted, encryptKeys, decryptKeys } = require('./lib/keyfile');
+const { timePeriod, blindPublicKey, blindExpandedSecretKey, subcredential } = require('./lib/blinding');
+const {
+    generateClientAuthKeyPair,
+    formatAuthFile,
+    formatAuthPrivateFile,
+    parseAuthFile,
+    parseAuthPrivateFile,
+    verifyClientAuth
+} = require('./lib/clientauth');
+const { signMessage, parseSignature, verifyMessage } = require('./lib/signature');
+const { importKey, exportKey } = require('./lib/convert');
+const { openKeystore } = require('./lib/keystore');
+const { createJobQueue } = require('./lib/jobs');
+const { serveJobs } = require('./lib/jobserver');
+
+module.exports = {
+    generate,
+    rank,
+    coordinate,
+    joinCoordinator,
+    verify,
+    analyzePattern,
+    inspectOnionAddress,
+    base32Encode,
+    base32Decode,
+    onionAddressFromPublicKey,
+    calcOnionFromPub,
+    generateOnionAddress,
+    expandSecretKey,
+    derivePubFromSeedHex,
+    derivePubFromExpandedHex,
+    readHiddenServiceDir,
+    writeHiddenServiceDir,
+    isEncrypted,
+    encryptKeys,
+    decryptKeys,
+    timePeriod,
+    blindPublicKey,
+    blindExpandedSecretKey,
+    subcredential,
+    generateClientAuthKeyPair,
+    formatAuthFile,
+    formatAuthPrivateFile,
+    parseAuthFile,
+    parseAuthPrivateFile,
+    verifyClientAuth,
+    signMessage,
+    parseSignature,
+    verifyMessage,
+    importKey,
+    exportKey,
+    openKeystore,
+    createJobQueue,
+    serveJobs
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { readHiddenServiceDir } = require('./hsdir');
+const { isEncrypted, decryptKeys } = require('./keyfile');
+const { PASSPHRASE_ENV } = require('./passphrase');
+const { verify } = require('./verify');
+
+const WILDCARD = /[*?]/;
+const ONION_NAME = /^[a-z2-7]{56}(\.onion)?$/i;
+
+function isHiddenServiceDir(dir) {
+    return fs.existsSync(path.join(dir, 'hs_ed25519_secret_key'));
+}
+
+function globToRegExp(glob) {
+    const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+
+function classify(p) {
+    let stat;
+    try {
+        stat = fs.statSync(p);
+    } catch (err) {
+        return null;
+    }
+    if (stat.isDirectory()) return isHiddenServiceDir(p) ? 'hs-dir' : null;
+    return p.endsWith('.json') ? 'json' : null;
+}
+
+// Wildcards are matched against the entries of a single directory, like a shell glob without `**`
+function expandGlob(pattern) {
+    const dir = path.dirname(pattern);
+    if (WILDCARD.test(dir)) {
+        throw new Error(`Wildcards are only supported in the last path segment: ${pattern}`);
+    }
+    const regex = globToRegExp(path.basename(pattern));
+    let entries;
+    try {
+        entries = fs.readdirSync(dir);
+    } catch (err) {
+        throw new Error(`Failed to read ${dir}: ${err.message}`);
+    }
+    return entries
+        .filter(name => !name.startsWith('.') && regex.test(name))
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Resolves files, directories and glob patterns to the key sets they hold.
+ * A HiddenServiceDir is taken as one key set; any other directory contributes its
+ * *.json files and HiddenServiceDir subdirectories. Paths that do not exist are kept
+ * so that verification reports them instead of silently skipping them.
+ */
+function collectKeySources(paths) {
+    const sources = new Map();
+    const add = (p, type) => {
+        if (!sources.has(p)) sources.set(p, { path: p, type });
+    };
+
+    for (const p of paths) {
+        if (WILDCARD.test(p)) {
+            const matches = expandGlob(p);
+            if (matches.length === 0) throw new Error(`No files match ${p}`);
+            matches.forEach(match => {
+                const type = classify(match);
+                if (type) add(match, type);
+            });
+        } else if (fs.existsSync(p) && fs.statSync(p).isDirectory() && !isHiddenServiceDir(p)) {
+            fs.readdirSync(p).sort().forEach(name => {
+                if (name.startsWith('.')) return;
+                const entry = path.join(p, name);
+                const type = classify(entry);
+                if (type) add(entry, type);
+            });
+        } else {
+            add(p, classify(p) || 'json');
+        }
+    }
+    return [...sources.values()];
+}
+
+function readKeySource({ path: p, type }, passphrase) {
+    if (type === 'hs-dir') return readHiddenServiceDir(p);
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (err) {
+        throw new Error(`Failed to read JSON file: ${err.message}`);
+    }
+    if (isEncrypted(data)) {
+        if (!passphrase) throw new Error(`Encrypted key file: use --passphrase-file or set ${PASSPHRASE_ENV}`);
+        data = decryptKeys(data, passphrase);
+    }
+    return {
+        onionAddress: data.onionAddress || '',
+        publicKey: data.publicKey || '',
+        seed: data.seed || '',
+        expandedSecretKey: data.expandedSecretKey || ''
+    };
+}
+
+/**
+ * Verifies one key source without prompting. JSON files must be named after their address
+ * (`<address>.json`, as written by oniongen); a HiddenServiceDir is only held to that when its
+ * name looks like an onion address, since tor setups usually pick their own directory names.
+ * Encrypted JSON files are decrypted with `passphrase`. Malformed input and wrong
+ * passphrases are reported through `error` rather than thrown.
+ */
+function verifyKeySource(source, { passphrase = null } = {}) {
+    const result = { path: source.path, type: source.type, onionAddress: null, checks: [], ok: false, error: null };
+    try {
+        const keys = readKeySource(source, passphrase);
+        const report = verify({
+            onion: keys.onionAddress,
+            publicKey: keys.publicKey,
+            seed: keys.seed,
+            expandedSecretKey: keys.expandedSecretKey
+        });
+        result.onionAddress = report.onionAddress;
+        result.checks = report.checks;
+
+        const name = path.basename(source.path, source.type === 'json' ? '.json' : '');
+        if (source.type === 'json' || ONION_NAME.test(name)) {
+            result.checks.push({
+                name: 'File Name ↔ Onion Address',
+                result: name.toLowerCase().replace(/\.onion$/, '') === report.onionAddress
+            });
+        }
+        result.ok = result.checks.every(check => check.result);
+    } catch (err) {
+        result.error = err.message;
+    }
+    return result;
+}
+
+function summarize(results) {
+    const passed = results.filter(r => r.ok).length;
+    const errors = results.filter(r => r.error).length;
+    return { total: results.length, passed, failed: results.length - passed - errors, errors };
+}
+
+function jsonReport(results) {
+    return JSON.stringify({
+        ...summarize(results),
+        results: results.map(r => ({
+            path: r.path,
+            type: r.type,
+            onionAddress: r.onionAddress,
+            ok: r.ok,
+            error: r.error,
+            checks: r.checks
+        }))
+    }, null, 2) + '\n';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// One <testcase> per key source, in the JUnit XML dialect most CI servers understand
+function junitReport(results) {
+    const { total, failed, errors } = summarize(results);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuite name="oniongen-verify" tests="${total}" failures="${failed}" errors="${errors}">`
+    ];
+    results.forEach(r => {
+        const attrs = `classname="${escapeXml(r.type)}" name="${escapeXml(r.path)}"`;
+        if (r.ok) {
+            lines.push(`  <testcase ${attrs}/>`);
+            return;
+        }
+        lines.push(`  <testcase ${attrs}>`);
+        if (r.error) {
+            lines.push(`    <error message="${escapeXml(r.error)}"/>`);
+        } else {
+            const failedChecks = r.checks.filter(check => !check.result).map(check => check.name);
+            lines.push(`    <failure message="${escapeXml(`Failed: ${failedChecks.join(', ')}`)}"/>`);
+        }
+        lines.push('  </testcase>');
+    });
+    lines.push('</testsuite>');
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    isHiddenServiceDir,
+    collectKeySources,
+    verifyKeySource,
+    summarize,
+    jsonReport,
+    junitReport
+};
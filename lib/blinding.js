@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { sha3_256 } = require('./onion');
+const {
+    ORDER,
+    packPoint,
+    scalarMult,
+    unpackPoint,
+    scalarToBytes,
+    scalarFromBytes
+} = require('./ed25519');
+
+// rend-spec-v3 section 2.2.1: time periods are 1440 minutes long and start at 12:00 UTC
+const TIME_PERIOD_LENGTH = 1440;
+const ROTATION_TIME_OFFSET = 12 * 60;
+
+// rend-spec-v3 appendix A.2
+const BLIND_STRING = Buffer.from('Derive temporary signing key\0');
+const BLIND_PREFIX_STRING = Buffer.from('Derive temporary signing key hash input');
+const ED25519_BASEPOINT = Buffer.from(
+    '(15112221349535400772501151409588531511454012693041857206046113283949847762202, ' +
+    '46316835694926478169428394003475163141307993866256225615783033603165251855960)'
+);
+
+function int8(n) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(BigInt(n));
+    return buf;
+}
+
+// Time period `number` with its start and end as unix times in seconds
+function timePeriodByNumber(number, periodLength = TIME_PERIOD_LENGTH) {
+    const start = (number * periodLength + ROTATION_TIME_OFFSET) * 60;
+    return { number, length: periodLength, start, end: start + periodLength * 60 };
+}
+
+// The time period a unix time in seconds falls into
+function timePeriod(unixSeconds, periodLength = TIME_PERIOD_LENGTH) {
+    const minutes = Math.floor(unixSeconds / 60);
+    return timePeriodByNumber(Math.floor((minutes - ROTATION_TIME_OFFSET) / periodLength), periodLength);
+}
+
+// h = H(BLIND_STRING | A | s | B | N) with an empty secret s, clamped like an Ed25519 scalar
+function blindingFactor(publicKey, periodNumber, periodLength = TIME_PERIOD_LENGTH) {
+    const nonce = Buffer.concat([Buffer.from('key-blind'), int8(periodNumber), int8(periodLength)]);
+    const h = sha3_256(Buffer.concat([BLIND_STRING, publicKey, ED25519_BASEPOINT, nonce]));
+    h[0] &= 248;
+    h[31] &= 63;
+    h[31] |= 64;
+    return h;
+}
+
+// A' = h*A
+function blindPublicKey(publicKey, periodNumber, periodLength = TIME_PERIOD_LENGTH) {
+    const h = blindingFactor(publicKey, periodNumber, periodLength);
+    return Buffer.from(packPoint(scalarMult(unpackPoint(publicKey), h)));
+}
+
+// a' = h*a mod l and prefix' = SHA-512(BLIND_PREFIX_STRING | prefix)[:32], for the same A' as blindPublicKey.
+// The prefix hash is Ed25519's SHA-512, as in tor's ed25519_donna_blind_secret_key, not SHA3.
+function blindExpandedSecretKey(expandedSecretKey, publicKey, periodNumber, periodLength = TIME_PERIOD_LENGTH) {
+    const h = scalarFromBytes(blindingFactor(publicKey, periodNumber, periodLength));
+    const a = scalarFromBytes(expandedSecretKey.subarray(0, 32));
+    const prefix = crypto.createHash('sha512')
+        .update(Buffer.concat([BLIND_PREFIX_STRING, expandedSecretKey.subarray(32, 64)]))
+        .digest()
+        .subarray(0, 32);
+    return Buffer.concat([scalarToBytes(h * a % ORDER), prefix]);
+}
+
+// rend-spec-v3 section 2.1: credential = H("credential" | A), subcredential = H("subcredential" | credential | A')
+function subcredential(publicKey, blindedPublicKey) {
+    const credential = sha3_256(Buffer.concat([Buffer.from('credential'), publicKey]));
+    return sha3_256(Buffer.concat([Buffer.from('subcredential'), credential, blindedPublicKey]));
+}
+
+module.exports = {
+    TIME_PERIOD_LENGTH,
+    ROTATION_TIME_OFFSET,
+    ED25519_BASEPOINT,
+    timePeriod,
+    timePeriodByNumber,
+    blindingFactor,
+    blindPublicKey,
+    blindExpandedSecretKey,
+    subcredential
+};
@@ -0,0 +1,117 @@
+/**
+ * Small declarative command-line parser shared by the scripts. `spec` maps long option names to
+ * { type: 'boolean' | 'string', alias, default }. Boolean options also accept a `--no-` prefix,
+ * string options accept both `--name value` and `--name=value`. Throws on unknown options.
+ */
+function parseOptions(argv, spec) {
+    const options = {};
+    const positional = [];
+    const aliases = {};
+
+    for (const [name, def] of Object.entries(spec)) {
+        if (def.default !== undefined) options[camelCase(name)] = def.default;
+        if (def.alias) aliases[def.alias] = name;
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positional.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+            positional.push(arg);
+            continue;
+        }
+
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+            value = eq === -1 ? undefined : arg.slice(eq + 1);
+        } else {
+            name = aliases[arg.slice(1)];
+            if (!name) throw new Error(`Unknown option ${arg}`);
+        }
+
+        let def = spec[name];
+        let negated = false;
+        if (!def && name.startsWith('no-') && spec[name.slice(3)] && spec[name.slice(3)].type === 'boolean') {
+            name = name.slice(3);
+            def = spec[name];
+            negated = true;
+        }
+        if (!def) throw new Error(`Unknown option --${name}`);
+
+        if (def.type === 'boolean') {
+            if (value !== undefined) throw new Error(`Option --${name} does not take a value`);
+            options[camelCase(name)] = !negated;
+        } else {
+            if (value === undefined) {
+                if (i + 1 >= argv.length) throw new Error(`Option --${name} requires a value`);
+                value = argv[++i];
+            }
+            options[camelCase(name)] = value;
+        }
+    }
+
+    return { options, positional };
+}
+
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "90" (seconds), "45s", "30m", "2h", "1d" or combinations such as "1h30m"; returns milliseconds
+function parseDuration(text) {
+    const value = String(text).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value) * 1000;
+
+    const re = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+    let total = 0;
+    let consumed = 0;
+    let m;
+    while ((m = re.exec(value))) {
+        if (m.index !== consumed) break;
+        total += Number(m[1]) * DURATION_UNITS[m[2]];
+        consumed = re.lastIndex;
+    }
+    if (consumed === 0 || consumed !== value.length || total <= 0) {
+        throw new Error(`Invalid duration "${text}" (examples: 90, 45s, 30m, 2h, 1h30m)`);
+    }
+    return total;
+}
+
+// The opposite direction, for display: "1h 2m 3s", "2m 3s" or "3s"
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    
+    if (hours > 0) {
+        return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    } else if (minutes > 0) {
+        return `${minutes}m ${seconds % 60}s`;
+    } else {
+        return `${seconds}s`;
+    }
+}
+
+// Accepts plain integers as well as exponent notation such as 1e9
+function parseCount(text, what) {
+    const value = Number(String(text).trim());
+    if (!Number.isFinite(value) || !Number.isInteger(value) || value <= 0) {
+        throw new Error(`${what} must be a positive integer`);
+    }
+    return value;
+}
+
+module.exports = {
+    parseOptions,
+    parseDuration,
+    formatDuration,
+    parseCount
+};
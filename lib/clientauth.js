@@ -0,0 +1,99 @@
+const nacl = require('tweetnacl');
+const { base32Encode, base32Decode } = require('./onion');
+const { inspectOnionAddress } = require('./inspect');
+
+const AUTH_TYPE = 'descriptor';
+const KEY_TYPE = 'x25519';
+// 32 bytes of unpadded base32
+const KEY_BASE32_LENGTH = 52;
+
+// tor writes client auth keys as unpadded uppercase base32
+function encodeKey(key) {
+    return base32Encode(key).toUpperCase();
+}
+
+function decodeKey(text, what) {
+    if (!new RegExp(`^[A-Za-z2-7]{${KEY_BASE32_LENGTH}}$`).test(text)) {
+        throw new Error(`${what} must be ${KEY_BASE32_LENGTH} base32 characters`);
+    }
+    return base32Decode(text);
+}
+
+function generateClientAuthKeyPair() {
+    const { publicKey, secretKey } = nacl.box.keyPair();
+    return { publicKey: Buffer.from(publicKey), privateKey: Buffer.from(secretKey) };
+}
+
+function publicKeyFromPrivate(privateKey) {
+    return Buffer.from(nacl.scalarMult.base(new Uint8Array(privateKey)));
+}
+
+// Service side, one file per client in <HiddenServiceDir>/authorized_clients/<name>.auth
+function formatAuthFile(publicKey) {
+    return `${AUTH_TYPE}:${KEY_TYPE}:${encodeKey(publicKey)}\n`;
+}
+
+// Client side, in the directory named by ClientOnionAuthDir
+function formatAuthPrivateFile(onionAddress, privateKey) {
+    return `${onionAddress.replace(/\.onion$/, '')}:${AUTH_TYPE}:${KEY_TYPE}:${encodeKey(privateKey)}\n`;
+}
+
+function splitFields(text, count, name) {
+    const fields = text.trim().split(':');
+    if (fields.length !== count) {
+        throw new Error(`${name} must have ${count} colon-separated fields, got ${fields.length}`);
+    }
+    const [authType, keyType] = fields.slice(-3, -1);
+    if (authType !== AUTH_TYPE) throw new Error(`${name}: unsupported auth type "${authType}" (expected ${AUTH_TYPE})`);
+    if (keyType !== KEY_TYPE) throw new Error(`${name}: unsupported key type "${keyType}" (expected ${KEY_TYPE})`);
+    return fields;
+}
+
+function parseAuthFile(text) {
+    const [, , key] = splitFields(text, 3, '.auth file');
+    return { publicKey: decodeKey(key, '.auth public key') };
+}
+
+function parseAuthPrivateFile(text) {
+    const [address, , , key] = splitFields(text, 4, '.auth_private file');
+    const info = inspectOnionAddress(address);
+    if (!info.ok) throw new Error(`.auth_private file: ${address} is not a valid onion address: ${info.errors[0]}`);
+    return { onionAddress: info.onionAddress, privateKey: decodeKey(key, '.auth_private private key') };
+}
+
+/**
+ * Checks that a service-side .auth file and a client-side .auth_private file hold the two
+ * halves of one key pair, and optionally that the client file is for `onionAddress`.
+ * Throws on malformed files, otherwise returns a report in the shape of verify()'s.
+ */
+function verifyClientAuth(authText, authPrivateText, onionAddress = null) {
+    const { publicKey } = parseAuthFile(authText);
+    const client = parseAuthPrivateFile(authPrivateText);
+    const derived = publicKeyFromPrivate(client.privateKey);
+
+    const checks = [{ name: 'Private Key → Public Key', result: derived.equals(publicKey) }];
+    if (onionAddress) {
+        checks.push({
+            name: 'Onion Address',
+            result: client.onionAddress === onionAddress.toLowerCase().replace(/\.onion$/, '')
+        });
+    }
+    return {
+        onionAddress: client.onionAddress,
+        publicKey: encodeKey(publicKey),
+        publicFromPrivate: encodeKey(derived),
+        checks,
+        ok: checks.every(check => check.result)
+    };
+}
+
+module.exports = {
+    encodeKey,
+    generateClientAuthKeyPair,
+    publicKeyFromPrivate,
+    formatAuthFile,
+    formatAuthPrivateFile,
+    parseAuthFile,
+    parseAuthPrivateFile,
+    verifyClientAuth
+};
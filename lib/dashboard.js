@@ -0,0 +1,52 @@
+const { formatDuration } = require('./cli');
+
+const BARS = '▁▂▃▄▅▆▇█';
+
+const number = n => Math.round(n).toLocaleString('en-US');
+
+// One bar per value, scaled to the largest
+function sparkline(values) {
+    const peak = Math.max(0, ...values);
+    return values.map(v => BARS[peak > 0 ? Math.min(BARS.length - 1, Math.floor(v / peak * BARS.length)) : 0]).join('');
+}
+
+function workerStatus(worker) {
+    if (worker.status === 'crashed') return `crashed: ${worker.lastError}`;
+    if (worker.status === 'stalled') return `stalled for ${formatDuration(worker.idle * 1000)}`;
+    return worker.errors ? `running, ${worker.errors} error(s), last: ${worker.lastError}` : 'running';
+}
+
+function patternChance(p) {
+    const found = `${p.found}/${p.count} found`;
+    if (p.found >= p.count) return `${found}, done`;
+    if (p.chance === null) return `${found}, chance unknown for this pattern shape`;
+    const what = p.count === 1 ? 'a hit' : `${p.count} hits`;
+    return `${found}, ${(p.chance * 100).toFixed(1)}% chance of ${what} by now (${number(1 / p.probability)} attempts per match)`;
+}
+
+/**
+ * The live dashboard for a monitor snapshot, as lines of text: totals, a graph of the total
+ * rate over the last minute, one line per worker and the chance of a hit per pattern.
+ */
+function renderDashboard(snapshot) {
+    const found = snapshot.patterns.reduce((n, p) => n + p.found, 0);
+    const target = snapshot.patterns.reduce((n, p) => n + p.count, 0);
+    const peak = Math.max(0, ...snapshot.history);
+    const lines = [
+        `Time: ${formatDuration(snapshot.elapsed)} | Attempts: ${number(snapshot.attempts)} | Rate: ${number(snapshot.rate)}/s | Found: ${found}/${target}`,
+        `Rate, last ${snapshot.history.length}s (peak ${number(peak)}/s): ${sparkline(snapshot.history)}`,
+        '',
+        `  ${'Worker'.padEnd(8)}${'Attempts'.padStart(16)}${'Rate/s'.padStart(12)}  Status`
+    ];
+    snapshot.workers.forEach(worker => {
+        lines.push(`  ${`#${worker.id + 1}`.padEnd(8)}${number(worker.attempts).padStart(16)}${number(worker.rate).padStart(12)}  ${workerStatus(worker)}`);
+    });
+    lines.push('');
+    snapshot.patterns.forEach(p => lines.push(`${p.pattern}: ${patternChance(p)}`));
+    return lines;
+}
+
+module.exports = {
+    sparkline,
+    renderDashboard
+};
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { generate, normalizePatterns, checkBudgets, setLongTimeout, clearLongTimeout, matchIterator } = require('./generate');
+const { verify } = require('./verify');
+
+const PROTOCOL_VERSION = 1;
+const DEFAULT_PORT = 7439;
+const MAX_MESSAGE_LENGTH = 64 * 1024;
+const HELLO_TIMEOUT = 10000;
+const STATS_INTERVAL = 1000;
+
+// "port", "host:port" or "[v6 address]:port"
+function parseHostPort(text, defaultHost = '127.0.0.1') {
+    const value = String(text).trim();
+    const m = /^(?:(?:\[([^\]]+)\]|([^:[\]]+)):)?(\d+)$/.exec(value);
+    const port = m ? Number(m[3]) : NaN;
+    if (!m || port > 65535) {
+        throw new Error(`Invalid address "${text}" (expected [host:]port)`);
+    }
+    return { host: m[1] || m[2] || defaultHost, port };
+}
+
+// Both directions speak newline-delimited JSON; returns the function that sends one message
+function messageChannel(socket, onMessage) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (!line.trim()) continue;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (err) {
+                socket.destroy(new Error('Malformed message'));
+                return;
+            }
+            onMessage(message);
+            if (socket.destroyed) return;
+        }
+        if (buffer.length > MAX_MESSAGE_LENGTH) socket.destroy(new Error('Message too long'));
+    });
+    return (message) => {
+        if (!socket.destroyed && socket.writable) socket.write(JSON.stringify(message) + '\n');
+    };
+}
+
+function tokensEqual(given, expected) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+/**
+ * Runs a search on other machines: listens on `listen` ("[host:]port", loopback unless a host is
+ * given) and hands the patterns to every node that connects with joinCoordinator(). Matches are
+ * verified and deduplicated here, quotas are enforced across all nodes, and every node is told
+ * to stop once they are filled. Nodes may come and go; their attempts stay counted.
+ *
+ * Takes the same pattern, count, maxTime, maxAttempts and signal options as generate() and
+ * returns the same kind of EventEmitter, plus 'listening' ({ host, port }) and 'node'
+ * ({ event: 'connected' | 'disconnected', node }) events. `workerId` in matches and stats is
+ * the node id, and stats() lists the nodes with their attempts and current rate.
+ * Keys travel in clear, so `token` guards who may join, not who may listen in.
+ */
+function coordinate(options = {}) {
+    const { listen = String(DEFAULT_PORT), token = null, maxTime = Infinity, maxAttempts = Infinity, signal } = options;
+    const patterns = normalizePatterns(options);
+    checkBudgets(options);
+    const { host, port } = parseHostPort(listen);
+
+    const search = new EventEmitter();
+    const startTime = Date.now();
+    const nodes = [];
+    const seen = new Set();
+    const patternFound = new Array(patterns.length).fill(0);
+    let foundCount = 0;
+    let attemptsAtLastMatch = 0;
+    let stopped = false;
+    let timeBudget;
+
+    const totalAttempts = () => nodes.reduce((n, node) => n + node.attempts, 0);
+    const isDone = p => patternFound[p] >= patterns[p].count;
+
+    function nodeInfo(node) {
+        const { id, name, address, workers, engine, attempts, rate, connected } = node;
+        return { id, name, address, workers, engine, attempts, rate, connected };
+    }
+
+    function summary(reason) {
+        return {
+            reason,
+            found: foundCount,
+            patterns: patterns.map((p, i) => ({ pattern: p.regex.source, count: p.count, found: patternFound[i] })),
+            attempts: totalAttempts(),
+            workerAttempts: nodes.map(node => node.attempts),
+            nodes: nodes.map(nodeInfo),
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    function broadcast(message) {
+        nodes.forEach(node => node.connected && node.send(message));
+    }
+
+    function onAbort() {
+        stop('aborted');
+    }
+
+    function stop(reason) {
+        if (stopped) return;
+        stopped = true;
+        clearLongTimeout(timeBudget);
+        broadcast({ type: 'stop', reason });
+        nodes.forEach(node => node.socket.end());
+        server.close();
+        if (signal) signal.removeEventListener('abort', onAbort);
+        search.emit('end', summary(reason));
+    }
+
+    function reject(node, message) {
+        search.emit('workerError', { workerId: node.id, error: new Error(`${node.name}: ${message}`), fatal: false });
+    }
+
+    function onMatch(node, data) {
+        const p = data.patternIndex;
+        if (!Number.isInteger(p) || !patterns[p]) return reject(node, `match for unknown pattern ${p}`);
+
+        // A node is only trusted to find keys, not to check them
+        let report;
+        try {
+            report = verify({ onion: data.onionAddress, publicKey: data.publicKey, seed: data.seed, expandedSecretKey: data.expandedSecretKey });
+        } catch (error) {
+            return reject(node, `malformed match: ${error.message}`);
+        }
+        if (!report.ok || !report.expandedSecretKey || !patterns[p].regex.test(report.onionAddress)) {
+            return reject(node, `invalid match ${report.onionAddress}`);
+        }
+        if (seen.has(report.onionAddress) || isDone(p)) return;
+        seen.add(report.onionAddress);
+        patternFound[p]++;
+        foundCount++;
+
+        const attempts = totalAttempts();
+        search.emit('match', {
+            patternIndex: p,
+            pattern: patterns[p].regex.source,
+            onionAddress: report.onionAddress,
+            publicKey: Buffer.from(report.publicKey, 'hex'),
+            seed: Buffer.from(report.seed, 'hex'),
+            expandedSecretKey: Buffer.from(report.expandedSecretKey, 'hex'),
+            attempts: attempts - attemptsAtLastMatch,
+            workerId: node.id,
+            node: nodeInfo(node),
+            index: foundCount
+        });
+        attemptsAtLastMatch = attempts;
+
+        if (isDone(p)) broadcast({ type: 'retire', index: p });
+        if (patterns.every((entry, i) => isDone(i))) stop('count');
+    }
+
+    function onStats(node, data) {
+        const attempts = Number(data.attempts);
+        if (!Number.isSafeInteger(attempts) || attempts < node.attempts) return;
+        const now = Date.now();
+        const delta = attempts - node.attempts;
+        node.rate = now > node.lastStats ? Math.round(delta / ((now - node.lastStats) / 1000)) : node.rate;
+        node.lastStats = now;
+        node.attempts = attempts;
+        search.emit('stats', { attempts: delta, workerId: node.id });
+        if (totalAttempts() >= maxAttempts) stop('max-attempts');
+    }
+
+    const server = net.createServer(socket => {
+        if (stopped) {
+            socket.destroy();
+            return;
+        }
+        socket.setKeepAlive(true, 10000);
+        let node = null;
+        const helloTimer = setTimeout(() => node || socket.destroy(), HELLO_TIMEOUT);
+
+        const send = messageChannel(socket, message => {
+            if (stopped) return;
+            if (node) {
+                if (message.type === 'stats') onStats(node, message);
+                else if (message.type === 'match') {
+                    onStats(node, message);
+                    if (!stopped) onMatch(node, message);
+                }
+                else if (message.type === 'error') reject(node, String(message.error));
+                return;
+            }
+
+            clearTimeout(helloTimer);
+            const refuse = reason => {
+                send({ type: 'error', message: reason });
+                socket.end();
+            };
+            if (message.type !== 'hello') return refuse('expected hello');
+            if (message.version !== PROTOCOL_VERSION) {
+                return refuse(`protocol version ${message.version} is not supported (expected ${PROTOCOL_VERSION})`);
+            }
+            if (token && !tokensEqual(message.token || '', token)) return refuse('invalid token');
+
+            node = {
+                id: nodes.length,
+                name: String(message.name || `node-${nodes.length + 1}`).slice(0, 64),
+                address: `${socket.remoteAddress}:${socket.remotePort}`,
+                workers: Number(message.workers) || null,
+                engine: String(message.engine || ''),
+                attempts: 0,
+                rate: 0,
+                lastStats: Date.now(),
+                connected: true,
+                socket,
+                send
+            };
+            nodes.push(node);
+            send({
+                type: 'job',
+                patterns: patterns.map(({ regex }, i) => ({ source: regex.source, flags: regex.flags, retired: isDone(i) }))
+            });
+            search.emit('node', { event: 'connected', node: nodeInfo(node) });
+        });
+
+        // Errors end in 'close' as well, which is where a dropped node is handled
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            clearTimeout(helloTimer);
+            if (!node) return;
+            node.connected = false;
+            node.rate = 0;
+            if (!stopped) search.emit('node', { event: 'disconnected', node: nodeInfo(node) });
+        });
+    });
+
+    server.on('error', error => {
+        if (stopped) return;
+        search.emit('workerError', { workerId: null, error, fatal: true });
+        stop('listen-failed');
+    });
+    server.listen(port, host, () => {
+        if (!stopped) search.emit('listening', { host, port: server.address().port });
+    });
+
+    if (maxTime !== Infinity) {
+        timeBudget = setLongTimeout(() => stop('max-time'), maxTime);
+    }
+
+    if (signal) {
+        if (signal.aborted) process.nextTick(onAbort);
+        else signal.addEventListener('abort', onAbort);
+    }
+
+    search.stop = () => stop('stopped');
+    search.stats = () => summary(stopped ? 'ended' : 'running');
+    search[Symbol.asyncIterator] = () => matchIterator(search);
+    return search;
+}
+
+/**
+ * Joins a coordinator at `connect` ("[host:]port") and searches its patterns with generate()
+ * on local worker threads, streaming matches and attempt counts back until told to stop.
+ *
+ * Emits 'connected', 'job' ({ patterns }), 'match' (address only; keys go to the coordinator
+ * and are wiped here) and a final 'end' ({ reason, error, attempts, found }) where reason is
+ * 'done' (the coordinator ended the run), 'stopped', 'rejected', 'disconnected' or 'error'.
+ */
+function joinCoordinator(options = {}) {
+    const { connect, token = null, name = os.hostname(), workers = os.cpus().length, engine = 'incremental' } = options;
+    const { host, port } = parseHostPort(connect);
+
+    const node = new EventEmitter();
+    const socket = net.connect({ host, port });
+    let search = null;
+    let found = 0;
+    let statsTimer;
+    let ended = false;
+
+    function finish(reason, error = null) {
+        if (ended) return;
+        ended = true;
+        clearInterval(statsTimer);
+        const attempts = search ? search.stats().attempts : 0;
+        if (search) {
+            send({ type: 'stats', attempts });
+            search.stop();
+        }
+        socket.end();
+        node.emit('end', { reason, error, attempts, found });
+    }
+
+    function startJob(job) {
+        const patterns = job.patterns.map(({ source, flags }) => ({ pattern: new RegExp(source, flags) }));
+        try {
+            search = generate({ patterns, workers, engine });
+        } catch (error) {
+            send({ type: 'error', error: error.message });
+            finish('error', error);
+            return;
+        }
+        job.patterns.forEach((p, i) => p.retired && search.retire(i));
+        node.emit('job', { patterns: patterns.map(p => p.pattern.source) });
+
+        search.on('match', match => {
+            send({
+                type: 'match',
+                attempts: search.stats().attempts,
+                patternIndex: match.patternIndex,
+                onionAddress: match.onionAddress,
+                publicKey: match.publicKey.toString('hex'),
+                seed: match.seed.toString('hex'),
+                expandedSecretKey: match.expandedSecretKey.toString('hex')
+            });
+            match.seed.fill(0);
+            match.expandedSecretKey.fill(0);
+            found++;
+            node.emit('match', { patternIndex: match.patternIndex, pattern: match.pattern, onionAddress: match.onionAddress, workerId: match.workerId });
+        });
+        search.on('workerError', ({ workerId, error }) => {
+            send({ type: 'error', error: `worker ${workerId + 1}: ${error.message}` });
+        });
+        search.on('end', ({ reason }) => {
+            if (reason === 'workers-exited') finish('error', new Error('All worker threads exited'));
+        });
+        statsTimer = setInterval(() => send({ type: 'stats', attempts: search.stats().attempts }), STATS_INTERVAL);
+    }
+
+    const send = messageChannel(socket, message => {
+        if (ended) return;
+        if (message.type === 'job' && !search) startJob(message);
+        else if (message.type === 'retire' && search) search.retire(message.index);
+        else if (message.type === 'stop') finish('done');
+        else if (message.type === 'error') finish('rejected', new Error(message.message));
+    });
+
+    socket.on('connect', () => {
+        send({ type: 'hello', version: PROTOCOL_VERSION, token, name, workers, engine });
+        node.emit('connected', { host, port });
+    });
+    socket.on('error', error => finish('error', error));
+    socket.on('close', () => finish('disconnected'));
+
+    node.stop = () => finish('stopped');
+    node.stats = () => ({ attempts: search ? search.stats().attempts : 0, found });
+    return node;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    DEFAULT_PORT,
+    parseHostPort,
+    tokensEqual,
+    coordinate,
+    joinCoordinator
+};
@@ -0,0 +1,133 @@
+const nacl = require('tweetnacl');
+
+// Thin helpers over tweetnacl's low-level field and point arithmetic. Points are
+// tweetnacl's extended coordinates: [X, Y, Z, T] as 16-limb Float64Array field elements.
+const { gf, M, S, pack25519, unpack25519, scalarbase, scalarmult, add, L } = nacl.lowlevel;
+
+const P = 2n ** 255n - 19n;
+const ORDER = L.reduce((n, limb, i) => n + (BigInt(limb) << BigInt(8 * i)), 0n);
+
+function createPoint() {
+    return [gf(), gf(), gf(), gf()];
+}
+
+function copyPoint(out, p) {
+    for (let i = 0; i < 4; i++) out[i].set(p[i]);
+    return out;
+}
+
+// o = i^(p-2), the same addition chain tweetnacl uses internally
+function invert25519(o, i) {
+    const c = gf();
+    c.set(i);
+    for (let a = 253; a >= 0; a--) {
+        S(c, c);
+        if (a !== 2 && a !== 4) M(c, c, i);
+    }
+    o.set(c);
+    return o;
+}
+
+// Encodes y and x given in affine form as the 32-byte compressed point
+function packAffine(out, x, y) {
+    const xBytes = new Uint8Array(32);
+    pack25519(out, y);
+    pack25519(xBytes, x);
+    out[31] ^= (xBytes[0] & 1) << 7;
+    return out;
+}
+
+function packPoint(p) {
+    const zi = invert25519(gf(), p[2]);
+    const tx = gf();
+    const ty = gf();
+    M(tx, p[0], zi);
+    M(ty, p[1], zi);
+    return packAffine(new Uint8Array(32), tx, ty);
+}
+
+// a*B for a 32-byte little-endian scalar; the scalar is used as is, without clamping
+function scalarBase(scalar) {
+    const p = createPoint();
+    scalarbase(p, new Uint8Array(scalar));
+    return p;
+}
+
+// q*P for a 32-byte little-endian scalar; tweetnacl's scalarmult clobbers its input point, so it gets a copy
+function scalarMult(p, scalar) {
+    const q = createPoint();
+    scalarmult(q, copyPoint(createPoint(), p), new Uint8Array(scalar));
+    return q;
+}
+
+function modPow(base, exponent) {
+    let result = 1n;
+    base %= P;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % P;
+        base = base * base % P;
+        exponent >>= 1n;
+    }
+    return result;
+}
+
+const D = (P - 121665n) * modPow(121666n, P - 2n) % P;
+const SQRT_M1 = modPow(2n, (P - 1n) / 4n);
+
+// Decodes a 32-byte compressed point (RFC 8032 section 5.1.3); throws if it is not on the curve
+function unpackPoint(bytes) {
+    const encoded = scalarFromBytes(bytes);
+    const y = encoded & ((1n << 255n) - 1n);
+    const sign = encoded >> 255n;
+    if (y >= P) throw new Error('Invalid point: y is not reduced');
+
+    const y2 = y * y % P;
+    const u = (y2 + P - 1n) % P;
+    const v = (D * y2 + 1n) % P;
+    const x2 = u * modPow(v, P - 2n) % P;
+    let x = modPow(x2, (P + 3n) / 8n);
+    if (x * x % P !== x2) x = x * SQRT_M1 % P;
+    if (x * x % P !== x2) throw new Error('Invalid point: not on the curve');
+    if (x === 0n && sign === 1n) throw new Error('Invalid point: bad sign for x = 0');
+    if ((x & 1n) !== sign) x = P - x;
+
+    const p = createPoint();
+    unpack25519(p[0], scalarToBytes(x));
+    unpack25519(p[1], scalarToBytes(y));
+    p[2][0] = 1;
+    M(p[3], p[0], p[1]);
+    return p;
+}
+
+function scalarToBytes(n) {
+    const out = Buffer.alloc(32);
+    for (let i = 0; i < 32; i++) {
+        out[i] = Number(n & 0xffn);
+        n >>= 8n;
+    }
+    return out;
+}
+
+function scalarFromBytes(buf) {
+    let n = 0n;
+    for (let i = buf.length - 1; i >= 0; i--) n = (n << 8n) | BigInt(buf[i]);
+    return n;
+}
+
+module.exports = {
+    ORDER,
+    gf,
+    M,
+    pack25519,
+    add,
+    createPoint,
+    copyPoint,
+    invert25519,
+    packAffine,
+    packPoint,
+    scalarBase,
+    scalarMult,
+    unpackPoint,
+    scalarToBytes,
+    scalarFromBytes
+};
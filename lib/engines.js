@@ -0,0 +1,64 @@
+const { generateOnionAddress, expandSecretKey } = require('./onion');
+const { createIncrementalEngine } = require('./incremental');
+const { toPatternSet } = require('./patterns');
+
+const ENGINES = ['incremental', 'keygen'];
+const KEYGEN_BATCH_SIZE = 64;
+
+// The original search path: one full Ed25519 key generation per candidate, which keeps the seed
+function createKeygenEngine(regexes, batchSize = KEYGEN_BATCH_SIZE) {
+    const patterns = toPatternSet(regexes);
+
+    function batch() {
+        const matches = [];
+        for (let i = 0; i < batchSize; i++) {
+            const { onionAddress, publicKey, privateKey } = generateOnionAddress();
+            const patternIndex = patterns.firstMatch(onionAddress, publicKey);
+            if (patternIndex === -1) continue;
+
+            const seed = privateKey.slice(0, 32);
+            matches.push({
+                offset: i + 1,
+                patternIndex,
+                onionAddress,
+                publicKey,
+                seed,
+                expandedSecretKey: expandSecretKey(seed)
+            });
+        }
+        return { attempts: batchSize, matches };
+    }
+
+    return { name: 'keygen', batch, retire: patterns.retire };
+}
+
+// `regexes` is the list of patterns to test every candidate against, or a ready pattern set: one
+// from createPatternSet() with a custom matcher, or createRankMatcher() for scoring mode
+function createEngine(name, regexes) {
+    if (name === 'incremental') return createIncrementalEngine(regexes);
+    if (name === 'keygen') return createKeygenEngine(regexes);
+    throw new Error(`Unknown engine "${name}" (expected one of: ${ENGINES.join(', ')})`);
+}
+
+// Runs each engine in the calling thread for `seconds` against the same patterns
+function benchmark({ pattern = '^oniongen', patterns = [pattern], seconds = 3, engines = ENGINES } = {}) {
+    const regexes = patterns.map(p => new RegExp(p));
+    return engines.map(name => {
+        const engine = createEngine(name, regexes);
+        const deadline = Date.now() + seconds * 1000;
+        const start = process.hrtime.bigint();
+        let attempts = 0;
+        while (Date.now() < deadline) {
+            attempts += engine.batch().attempts;
+        }
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e9;
+        return { engine: name, attempts, elapsed, rate: attempts / elapsed };
+    });
+}
+
+module.exports = {
+    ENGINES,
+    createEngine,
+    createKeygenEngine,
+    benchmark
+};
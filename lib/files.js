@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function existsError(file) {
+    const error = new Error(`${file} already exists`);
+    error.code = 'EEXIST';
+    error.path = file;
+    return error;
+}
+
+/**
+ * Writes a file that only its owner can read, without ever leaving a partial file behind:
+ * the contents go to a temporary file in the same directory, which is then moved into place.
+ * Unless `overwrite` is set, an existing file is kept and an Error with code 'EEXIST' is thrown.
+ */
+function writeFileAtomic(file, contents, { overwrite = false, mode = 0o600 } = {}) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const fd = fs.openSync(tmp, 'wx', mode);
+    try {
+        fs.writeFileSync(fd, contents);
+        // The mode passed to open() is reduced by the umask
+        fs.fchmodSync(fd, mode);
+        fs.fsyncSync(fd);
+    } catch (err) {
+        fs.closeSync(fd);
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+    fs.closeSync(fd);
+
+    try {
+        if (overwrite) {
+            fs.renameSync(tmp, file);
+        } else {
+            // link() fails if the target exists, so there is no window to replace a file created meanwhile
+            try {
+                fs.linkSync(tmp, file);
+            } catch (err) {
+                if (err.code === 'EEXIST') throw existsError(file);
+                if (fs.existsSync(file)) throw existsError(file);
+                fs.renameSync(tmp, file);
+                return file;
+            }
+            fs.unlinkSync(tmp);
+        }
+    } catch (err) {
+        fs.rmSync(tmp, { force: true });
+        throw err;
+    }
+    return file;
+}
+
+/**
+ * Overwrites a file with random bytes and syncs it before unlinking it, so that the freed blocks
+ * do not hold the key. Journaling and copy-on-write filesystems, SSDs and backups can still keep
+ * older copies; this only makes sure the file itself is gone.
+ */
+function shredFile(file) {
+    const fd = fs.openSync(file, 'r+');
+    try {
+        const { size } = fs.fstatSync(fd);
+        if (size) {
+            const noise = crypto.randomBytes(size);
+            fs.writeSync(fd, noise, 0, size, 0);
+            fs.fsyncSync(fd);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.unlinkSync(file);
+}
+
+module.exports = {
+    writeFileAtomic,
+    shredFile
+};
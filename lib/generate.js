@@ -0,0 +1,271 @@
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ENGINES } = require('./engines');
+const { loadMatcher } = require('./matcher');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+function normalizePatterns({ pattern, count = Infinity, patterns }) {
+    const list = patterns || [{ pattern, count }];
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('patterns must be a non-empty array of { pattern, count }');
+    }
+    return list.map(entry => {
+        const patternCount = entry.count === undefined ? Infinity : entry.count;
+        if (patternCount !== Infinity && (!Number.isInteger(patternCount) || patternCount <= 0)) {
+            throw new Error('count must be a positive integer');
+        }
+        return { regex: toRegExp(entry.pattern), count: patternCount };
+    });
+}
+
+function toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        throw new Error('pattern must be a non-empty string or a RegExp');
+    }
+    try {
+        return new RegExp(pattern);
+    } catch (error) {
+        throw new Error(`Invalid regex pattern: ${error.message}`);
+    }
+}
+
+function checkBudgets({ maxTime = Infinity, maxAttempts = Infinity }) {
+    if (maxTime !== Infinity && !(maxTime > 0)) {
+        throw new Error('maxTime must be a positive number of milliseconds');
+    }
+    if (maxAttempts !== Infinity && (!Number.isInteger(maxAttempts) || maxAttempts <= 0)) {
+        throw new Error('maxAttempts must be a positive integer');
+    }
+}
+
+// Timers take at most 2^31-1 ms (about 24.8 days) and fire at once beyond that, so a longer
+// budget waits in steps. Cancelled with clearLongTimeout(), which ignores an unset handle.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function setLongTimeout(callback, ms) {
+    const handle = { timer: null };
+    const deadline = Date.now() + ms;
+    const wait = (delay) => {
+        handle.timer = setTimeout(() => {
+            const left = deadline - Date.now();
+            if (left > 0) wait(left);
+            else callback();
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    };
+    wait(ms);
+    return handle;
+}
+
+function clearLongTimeout(handle) {
+    if (handle) clearTimeout(handle.timer);
+}
+
+// Keys arrive as transferred Uint8Arrays; wrapping them avoids leaving a second copy in memory
+function fromTransferred(bytes) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function matchIterator(search) {
+    const queue = [];
+    const waiting = [];
+    let done = false;
+
+    search.on('match', match => {
+        if (waiting.length) waiting.shift()({ value: match, done: false });
+        else queue.push(match);
+    });
+    search.once('end', () => {
+        done = true;
+        while (waiting.length) waiting.shift()({ value: undefined, done: true });
+    });
+
+    return {
+        next() {
+            if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+            if (done) return Promise.resolve({ value: undefined, done: true });
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        return() {
+            search.stop();
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Searches for onion addresses matching `pattern` on `workers` worker threads until `count`
+ * matches were found, stop() is called or `signal` is aborted. Several patterns can be searched
+ * at once with `patterns: [{ pattern, count }]`; every candidate is tested against all of them
+ * and each pattern is retired once its own count is met.
+ *
+ * The returned EventEmitter emits 'match' (keys as Buffers), 'stats' (attempt deltas per worker),
+ * 'workerError' and a final 'end' with the run summary. It is also an async iterator over matches.
+ * `engine` is 'incremental' (default, no seed in matches) or 'keygen' (one key pair per attempt).
+ * `maxTime` (ms) and `maxAttempts` end the run early with reason 'max-time' or 'max-attempts'.
+ * `matcher` is the path of a custom matcher module (see loadMatcher()) that every worker loads
+ * with `matcherOptions`; a candidate then has to pass it as well as a pattern. Its errors arrive
+ * as 'workerError' events.
+ */
+function generate(options = {}) {
+    const { workers = os.cpus().length, engine = 'incremental', maxTime = Infinity, maxAttempts = Infinity, signal } = options;
+    const patterns = normalizePatterns(options);
+    checkBudgets(options);
+    // Loaded here as well, so a missing or malformed module fails before any worker starts
+    const matcher = options.matcher ? loadMatcher(options.matcher) : null;
+    if (!Number.isInteger(workers) || workers <= 0) {
+        throw new Error('workers must be a positive integer');
+    }
+    if (!ENGINES.includes(engine)) {
+        throw new Error(`Unknown engine "${engine}" (expected one of: ${ENGINES.join(', ')})`);
+    }
+
+    const search = new EventEmitter();
+    const startTime = Date.now();
+    const threads = [];
+    const workerAttempts = new Array(workers).fill(0);
+    const patternFound = new Array(patterns.length).fill(0);
+    const retired = new Array(patterns.length).fill(false);
+    let foundCount = 0;
+    let totalAttempts = 0;
+    let exitedCount = 0;
+    let stopped = false;
+    let timeBudget;
+
+    function summary(reason) {
+        return {
+            reason,
+            found: foundCount,
+            patterns: patterns.map((p, i) => ({ pattern: p.regex.source, count: p.count, found: patternFound[i] })),
+            attempts: totalAttempts,
+            workerAttempts: workerAttempts.slice(),
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    function onAbort() {
+        stop('aborted');
+    }
+
+    function isDone(p) {
+        return retired[p] || patternFound[p] >= patterns[p].count;
+    }
+
+    function retire(p) {
+        if (retired[p]) return;
+        retired[p] = true;
+        threads.forEach(w => w.postMessage({ type: 'retire', index: p }));
+    }
+
+    function stop(reason) {
+        if (stopped) return;
+        stopped = true;
+        clearLongTimeout(timeBudget);
+        threads.forEach(w => w.terminate());
+        if (signal) signal.removeEventListener('abort', onAbort);
+        search.emit('end', summary(reason));
+    }
+
+    function onMessage(data) {
+        if (data.type === 'match' && (stopped || isDone(data.patternIndex))) {
+            // Dropped matches are not handed to anyone, so their keys are wiped right away
+            data.secretKey.fill(0);
+            data.seed.fill(0);
+        }
+        if (stopped) return;
+        if (data.type === 'match') {
+            totalAttempts += data.attempts;
+            workerAttempts[data.workerId] += data.attempts;
+
+            // Another worker may have filled this quota before the retire message arrived
+            const p = data.patternIndex;
+            if (isDone(p)) {
+                if (totalAttempts >= maxAttempts) stop('max-attempts');
+                return;
+            }
+            patternFound[p]++;
+            foundCount++;
+
+            search.emit('match', {
+                patternIndex: p,
+                pattern: patterns[p].regex.source,
+                onionAddress: data.onionAddress,
+                publicKey: Buffer.from(data.publicKey, 'base64'),
+                seed: fromTransferred(data.seed),
+                expandedSecretKey: fromTransferred(data.secretKey),
+                attempts: data.attempts,
+                workerId: data.workerId,
+                index: foundCount
+            });
+
+            if (patternFound[p] >= patterns[p].count) retire(p);
+            if (patterns.every((entry, i) => isDone(i))) stop('count');
+            else if (totalAttempts >= maxAttempts) stop('max-attempts');
+        } else if (data.type === 'stats') {
+            workerAttempts[data.workerId] += data.attempts;
+            totalAttempts += data.attempts;
+            search.emit('stats', { attempts: data.attempts, workerId: data.workerId });
+            if (totalAttempts >= maxAttempts) stop('max-attempts');
+        } else if (data.type === 'error') {
+            search.emit('workerError', { workerId: data.workerId, error: new Error(data.error), fatal: false });
+        }
+    }
+
+    for (let i = 0; i < workers; i++) {
+        const worker = new Worker(WORKER_SCRIPT, {
+            workerData: {
+                patterns: patterns.map(({ regex }) => ({ source: regex.source, flags: regex.flags })),
+                matcher: matcher && { file: matcher.file, name: options.matcher, options: options.matcherOptions },
+                engine,
+                workerId: i
+            }
+        });
+
+        worker.on('message', onMessage);
+        worker.on('error', error => {
+            if (!stopped) search.emit('workerError', { workerId: i, error, fatal: true });
+        });
+        worker.on('exit', () => {
+            exitedCount++;
+            if (exitedCount === workers) stop('workers-exited');
+        });
+
+        threads.push(worker);
+    }
+
+    if (maxTime !== Infinity) {
+        timeBudget = setLongTimeout(() => stop('max-time'), maxTime);
+    }
+
+    if (signal) {
+        if (signal.aborted) process.nextTick(onAbort);
+        else signal.addEventListener('abort', onAbort);
+    }
+
+    search.stop = () => stop('stopped');
+    // Ends the search for one pattern early, e.g. when its quota was filled elsewhere
+    search.retire = (index) => {
+        if (stopped || index < 0 || index >= patterns.length) return;
+        retire(index);
+        if (patterns.every((entry, i) => isDone(i))) stop('count');
+    };
+    search.stats = () => summary(stopped ? 'ended' : 'running');
+    search[Symbol.asyncIterator] = () => matchIterator(search);
+    return search;
+}
+
+module.exports = {
+    normalizePatterns,
+    checkBudgets,
+    setLongTimeout,
+    clearLongTimeout,
+    fromTransferred,
+    matchIterator,
+    generate
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./files');
+
+const HS_SECRET_KEY_HEADER = '== ed25519v1-secret: type0 ==';
+const HS_PUBLIC_KEY_HEADER = '== ed25519v1-public: type0 ==';
+const HS_HEADER_LENGTH = 32;
+
+function torKeyFile(header, key) {
+    const buf = Buffer.alloc(HS_HEADER_LENGTH + key.length);
+    buf.write(header, 0, 'ascii');
+    key.copy(buf, HS_HEADER_LENGTH);
+    return buf;
+}
+
+function readTorKeyFile(file, header, keyLength) {
+    const name = path.basename(file);
+    let buf;
+    try {
+        buf = fs.readFileSync(file);
+    } catch (err) {
+        throw new Error(`Failed to read ${name}: ${err.message}`);
+    }
+    if (buf.length !== HS_HEADER_LENGTH + keyLength) {
+        throw new Error(`${name} must be ${HS_HEADER_LENGTH + keyLength} bytes, got ${buf.length}`);
+    }
+    const expected = Buffer.alloc(HS_HEADER_LENGTH);
+    expected.write(header, 0, 'ascii');
+    if (!buf.subarray(0, HS_HEADER_LENGTH).equals(expected)) {
+        throw new Error(`${name} does not start with the "${header}" header`);
+    }
+    return buf.subarray(HS_HEADER_LENGTH);
+}
+
+// Returns the keys in oniongen JSON form; the expanded key carries no seed, so `seed` is empty
+function readHiddenServiceDir(dir) {
+    const secretKey = readTorKeyFile(path.join(dir, 'hs_ed25519_secret_key'), HS_SECRET_KEY_HEADER, 64);
+    const publicKey = readTorKeyFile(path.join(dir, 'hs_ed25519_public_key'), HS_PUBLIC_KEY_HEADER, 32);
+    let hostname;
+    try {
+        hostname = fs.readFileSync(path.join(dir, 'hostname'), 'utf8').trim();
+    } catch (err) {
+        throw new Error(`Failed to read hostname: ${err.message}`);
+    }
+    return {
+        onionAddress: hostname.toLowerCase().replace(/\.onion$/, ''),
+        publicKey: publicKey.toString('hex'),
+        seed: '',
+        expandedSecretKey: secretKey.toString('hex')
+    };
+}
+
+function writeHiddenServiceDir(dir, { onionAddress, publicKey, expandedSecretKey }, { overwrite = true } = {}) {
+    if (!overwrite && fs.existsSync(dir)) {
+        const error = new Error(`${dir} already exists`);
+        error.code = 'EEXIST';
+        error.path = dir;
+        throw error;
+    }
+
+    // tor refuses to use a HiddenServiceDir that is readable by anyone but its owner
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.chmodSync(dir, 0o700);
+
+    const files = {
+        hs_ed25519_secret_key: torKeyFile(HS_SECRET_KEY_HEADER, expandedSecretKey),
+        hs_ed25519_public_key: torKeyFile(HS_PUBLIC_KEY_HEADER, publicKey),
+        hostname: `${onionAddress}.onion\n`
+    };
+    for (const [name, contents] of Object.entries(files)) {
+        writeFileAtomic(path.join(dir, name), contents, { overwrite: true });
+    }
+    return dir;
+}
+
+module.exports = {
+    HS_SECRET_KEY_HEADER,
+    HS_PUBLIC_KEY_HEADER,
+    HS_HEADER_LENGTH,
+    torKeyFile,
+    readTorKeyFile,
+    readHiddenServiceDir,
+    writeHiddenServiceDir
+};
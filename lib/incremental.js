@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const {
+    gf,
+    M,
+    pack25519,
+    add,
+    createPoint,
+    copyPoint,
+    invert25519,
+    packAffine,
+    scalarBase,
+    scalarToBytes,
+    scalarFromBytes
+} = require('./ed25519');
+const { BASE32_ALPHABET, onionAddressFromPublicKey, expandSecretKey } = require('./onion');
+const { toPatternSet } = require('./patterns');
+
+const BATCH_SIZE = 256;
+// Stepping by 8 keeps the three low scalar bits clear, so every candidate is a validly clamped key
+const STEP = 8n;
+const SCALAR_LIMIT = 1n << 255n;
+
+// A literal prefix that stays out of the last byte's top bit, where packAffine later puts the
+// x sign, can be checked on the bytes of y alone. That is up to 248 bits, or 49 characters.
+const PREFIX_BITS = 248;
+
+function literalPrefix(regex) {
+    const m = /^\^([a-z2-7]+)$/.exec(regex.source);
+    if (!m || regex.flags.replace(/[gy]/g, '') !== '') return null;
+    if (m[1].length * 5 > PREFIX_BITS) return null;
+
+    const bitLength = m[1].length * 5;
+    const bytes = new Uint8Array(Math.ceil(bitLength / 8));
+    const mask = new Uint8Array(bytes.length);
+    for (let i = 0; i < m[1].length; i++) {
+        const value = BASE32_ALPHABET.indexOf(m[1][i].toUpperCase());
+        for (let b = 0; b < 5; b++) {
+            const bit = i * 5 + b;
+            const shift = 7 - (bit % 8);
+            mask[bit >> 3] |= 1 << shift;
+            if (value & (16 >> b)) bytes[bit >> 3] |= 1 << shift;
+        }
+    }
+    return { bytes, mask };
+}
+
+function matchesPrefix(packed, prefix) {
+    for (let i = 0; i < prefix.bytes.length; i++) {
+        if ((packed[i] & prefix.mask[i]) !== prefix.bytes[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Candidate source that walks A, A + 8B, A + 16B, ... from a random clamped scalar a,
+ * normalizing each batch of points with a single field inversion. A hit's expanded secret key
+ * is (a + 8i) followed by the random upper half of the starting key; there is no seed.
+ */
+function createIncrementalEngine(regexes, batchSize = BATCH_SIZE) {
+    const patterns = toPatternSet(regexes);
+    const prefixes = (patterns.regexes || []).map(literalPrefix);
+    const step = scalarBase(scalarToBytes(STEP));
+    const points = Array.from({ length: batchSize }, createPoint);
+    const products = Array.from({ length: batchSize }, gf);
+    const zInverse = gf();
+    const inverse = gf();
+    const x = gf();
+    const y = gf();
+    const packed = new Uint8Array(32);
+    let current;
+    let scalar;
+    let upperHalf;
+
+    function reseed() {
+        const expanded = expandSecretKey(crypto.randomBytes(32));
+        scalar = scalarFromBytes(expanded.subarray(0, 32));
+        upperHalf = Buffer.from(expanded.subarray(32));
+        current = scalarBase(expanded.subarray(0, 32));
+        expanded.fill(0);
+    }
+
+    function candidate(i) {
+        M(x, points[i][0], zInverse);
+        packAffine(packed, x, y);
+        const publicKey = Buffer.from(packed);
+        const onionAddress = onionAddressFromPublicKey(publicKey);
+        return { onionAddress, publicKey };
+    }
+
+    function batch() {
+        if (!current || scalar + STEP * BigInt(batchSize) >= SCALAR_LIMIT) reseed();
+
+        for (let i = 0; i < batchSize; i++) {
+            copyPoint(points[i], current);
+            add(current, step);
+        }
+
+        products[0].set(points[0][2]);
+        for (let i = 1; i < batchSize; i++) M(products[i], products[i - 1], points[i][2]);
+        invert25519(inverse, products[batchSize - 1]);
+
+        // Raw byte comparison is only enough while every active pattern is a literal prefix
+        const active = patterns.active();
+        const activePrefixes = active.every(index => prefixes[index]) ? active.map(index => prefixes[index]) : null;
+
+        const matches = [];
+        for (let i = batchSize - 1; i >= 0; i--) {
+            if (i > 0) {
+                M(zInverse, inverse, products[i - 1]);
+                M(inverse, inverse, points[i][2]);
+            } else {
+                zInverse.set(inverse);
+            }
+
+            M(y, points[i][1], zInverse);
+            if (activePrefixes) {
+                pack25519(packed, y);
+                if (!activePrefixes.some(prefix => matchesPrefix(packed, prefix))) continue;
+            }
+
+            const { onionAddress, publicKey } = candidate(i);
+            const patternIndex = patterns.firstMatch(onionAddress, publicKey);
+            if (patternIndex === -1) continue;
+
+            const secretScalar = scalar + STEP * BigInt(i);
+            matches.push({
+                offset: i + 1,
+                patternIndex,
+                onionAddress,
+                publicKey,
+                seed: Buffer.alloc(0),
+                expandedSecretKey: Buffer.concat([scalarToBytes(secretScalar), upperHalf])
+            });
+        }
+
+        scalar += STEP * BigInt(batchSize);
+        matches.sort((a, b) => a.offset - b.offset);
+        return { attempts: batchSize, matches };
+    }
+
+    return { name: 'incremental', batch, retire: patterns.retire };
+}
+
+module.exports = {
+    BATCH_SIZE,
+    literalPrefix,
+    createIncrementalEngine
+};
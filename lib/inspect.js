@@ -0,0 +1,150 @@
+const {
+    BASE32_ALPHABET,
+    ONION_VERSION,
+    base32Decode,
+    onionChecksum
+} = require('./onion');
+
+const V3_LENGTH = 56;
+const V2_LENGTH = 16;
+const ALPHABET = BASE32_ALPHABET.toLowerCase();
+
+// Characters people type for look-alikes that base32 leaves out
+const LOOKALIKES = { 0: 'o', 1: 'l', 8: 'b', 9: 'g' };
+
+// Accepts bare addresses, hostnames with subdomains and full URLs
+function parseHostname(input) {
+    let host = input.trim();
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(host)) {
+        try {
+            host = new URL(host).hostname;
+        } catch (err) {
+            throw new Error(`Invalid URL: ${input}`);
+        }
+    } else {
+        host = host.replace(/[/?#].*$/, '').replace(/^.*@/, '').replace(/:\d+$/, '');
+    }
+    host = host.toLowerCase().replace(/\.$/, '');
+    const labels = host.split('.');
+    const hasTld = labels.length > 1 && labels[labels.length - 1] === 'onion';
+    if (hasTld) labels.pop();
+    return {
+        hostname: host,
+        address: labels.pop() || '',
+        subdomain: labels.length ? labels.join('.') : null,
+        hasTld
+    };
+}
+
+function decodeV3(address) {
+    const bytes = base32Decode(address);
+    return {
+        publicKey: bytes.subarray(0, 32),
+        checksum: bytes.subarray(32, 34),
+        version: bytes[34]
+    };
+}
+
+function isValidV3(address) {
+    const { publicKey, checksum, version } = decodeV3(address);
+    return version === ONION_VERSION && onionChecksum(publicKey, version).equals(checksum);
+}
+
+// Every address one substitution or adjacent swap away that carries a valid checksum
+function suggestCorrections(address) {
+    const candidates = new Set();
+    for (let i = 0; i < address.length; i++) {
+        for (const c of ALPHABET) {
+            if (c !== address[i]) candidates.add(address.slice(0, i) + c + address.slice(i + 1));
+        }
+        if (i + 1 < address.length && address[i] !== address[i + 1]) {
+            candidates.add(address.slice(0, i) + address[i + 1] + address[i] + address.slice(i + 2));
+        }
+    }
+    return [...candidates].filter(candidate => /^[a-z2-7]+$/.test(candidate) && isValidV3(candidate));
+}
+
+/**
+ * Decodes an onion address without needing its keys and checks it the way tor does:
+ * length, alphabet, version byte and the SHA3-256 checksum over the embedded public key.
+ * Never throws for a malformed address; problems are collected in `errors` and `ok` is false.
+ */
+function inspectOnionAddress(input) {
+    const result = {
+        input,
+        hostname: null,
+        onionAddress: null,
+        subdomain: null,
+        version: null,
+        publicKey: null,
+        checksum: null,
+        expectedChecksum: null,
+        errors: [],
+        warnings: [],
+        suggestions: [],
+        ok: false
+    };
+
+    let parsed;
+    try {
+        parsed = parseHostname(String(input || ''));
+    } catch (err) {
+        result.errors.push(err.message);
+        return result;
+    }
+    const { address } = parsed;
+    result.hostname = parsed.hostname;
+    result.subdomain = parsed.subdomain;
+    if (!address) {
+        result.errors.push('No onion address given');
+        return result;
+    }
+    if (!parsed.hasTld && parsed.subdomain) {
+        result.warnings.push(`${parsed.hostname} does not end in .onion`);
+    }
+
+    const invalid = [...address].map((c, i) => ({ c, i })).filter(({ c }) => !ALPHABET.includes(c));
+    invalid.forEach(({ c, i }) => {
+        const hint = LOOKALIKES[c] ? ` (did you mean "${LOOKALIKES[c]}"?)` : '';
+        result.errors.push(`Invalid character "${c}" at position ${i + 1}; addresses only use a-z and 2-7${hint}`);
+    });
+
+    if (address.length === V2_LENGTH) {
+        result.version = 2;
+        result.errors.push('This is a v2 (16-character) address. Tor removed v2 onion services in 2021 and they can no longer be reached.');
+        return result;
+    }
+    if (address.length !== V3_LENGTH) {
+        result.errors.push(`Address has ${address.length} characters, expected ${V3_LENGTH} for v3 (or ${V2_LENGTH} for a retired v2 address)`);
+        return result;
+    }
+    result.onionAddress = address;
+    if (invalid.length) {
+        if (invalid.length === 1) result.suggestions = suggestCorrections(address);
+        return result;
+    }
+
+    const { publicKey, checksum, version } = decodeV3(address);
+    result.version = version;
+    result.publicKey = publicKey.toString('hex');
+    result.checksum = checksum.toString('hex');
+    result.expectedChecksum = onionChecksum(publicKey, version).toString('hex');
+
+    if (version !== ONION_VERSION) {
+        result.errors.push(`Version byte is ${version}, expected ${ONION_VERSION}; a v3 address always ends in "d"`);
+    }
+    if (result.checksum !== result.expectedChecksum) {
+        result.errors.push(`Checksum mismatch: address has ${result.checksum}, public key gives ${result.expectedChecksum}`);
+    }
+    if (result.errors.length) {
+        result.suggestions = suggestCorrections(address);
+    }
+
+    result.ok = result.errors.length === 0;
+    return result;
+}
+
+module.exports = {
+    parseHostname,
+    inspectOnionAddress
+};
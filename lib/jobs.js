@@ -0,0 +1,282 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const { parseDuration, parseCount } = require('./cli');
+const { writeFileAtomic } = require('./files');
+const { generate } = require('./generate');
+const { parseTags } = require('./keystore');
+const { analyzePattern } = require('./pattern');
+
+const STATE_VERSION = 1;
+const FINISHED = ['done', 'exhausted', 'cancelled', 'failed'];
+
+/**
+ * Checks a submitted job: { pattern, count } or { patterns: [{ pattern, count }] }, with an
+ * optional maxTime (seconds or a duration such as "30m"), maxAttempts, tags and note.
+ * Patterns get a leading '^' like on the command line, and count defaults to 1.
+ */
+function parseJobSpec(spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error('The job must be a JSON object');
+    const list = spec.patterns !== undefined ? spec.patterns : [{ pattern: spec.pattern, count: spec.count }];
+    if (!Array.isArray(list) || list.length === 0) throw new Error('patterns must be a non-empty array of { pattern, count }');
+
+    const warnings = [];
+    const patterns = list.map(entry => {
+        const { pattern, count = 1 } = entry || {};
+        if (typeof pattern !== 'string' || pattern.length === 0) throw new Error('pattern must be a non-empty string');
+        if (!Number.isInteger(count) || count <= 0) throw new Error('count must be a positive integer');
+        const full = pattern.startsWith('^') ? pattern : `^${pattern}`;
+        const analysis = analyzePattern(full);
+        if (analysis.errors.length) throw new Error(`${full}: ${analysis.errors[0]}`);
+        analysis.warnings.forEach(warning => warnings.push(`${full}: ${warning}`));
+        return { pattern: full, count, found: 0 };
+    });
+
+    if (spec.note !== undefined && typeof spec.note !== 'string') throw new Error('note must be a string');
+    const maxTime = spec.maxTime !== undefined && spec.maxTime !== null ? parseDuration(spec.maxTime) : null;
+    if (maxTime !== null && !(maxTime > 0)) throw new Error('maxTime must be a positive duration');
+    return {
+        patterns,
+        maxTime,
+        maxAttempts: spec.maxAttempts !== undefined && spec.maxAttempts !== null ? parseCount(spec.maxAttempts, 'maxAttempts') : null,
+        tags: spec.tags !== undefined ? parseTags(spec.tags) : [],
+        note: spec.note !== undefined ? spec.note : '',
+        warnings
+    };
+}
+
+/**
+ * Runs submitted jobs one at a time, in order, each on all `workers` threads, and keeps every
+ * job with its matches in `stateFile`. After a restart, finished jobs are listed again and jobs
+ * that were queued or running are picked up with what is left of their counts and budgets.
+ * `defaults` ({ maxTime, maxAttempts }) are the budgets of jobs that do not bring their own.
+ *
+ * `save(match, job)` stores a match's keys and returns { savedTo, saveErrors } like oniongen's
+ * key files; the keys are zeroed once it returns. The returned EventEmitter emits 'job'
+ * ({ event, job }) when a job is queued, started or finished, 'match' ({ job, match }),
+ * 'workerError' ({ job, workerId, error, fatal }) and 'error' when the state file cannot be written.
+ */
+function createJobQueue({ stateFile, workers, engine = 'incremental', save, defaults = {} }) {
+    const queue = new EventEmitter();
+    const state = loadState(stateFile);
+    // The job on the workers: { job, search, indexes (job pattern per search pattern), stopping }
+    let current = null;
+    let closed = false;
+
+    function persist() {
+        try {
+            writeFileAtomic(stateFile, JSON.stringify(state, null, 2) + '\n', { overwrite: true });
+        } catch (error) {
+            queue.emit('error', new Error(`Cannot write ${stateFile}: ${error.message}`));
+        }
+    }
+
+    function finish(job, status, error = null) {
+        job.status = status;
+        job.finished = new Date().toISOString();
+        if (error) job.error = error;
+        persist();
+        queue.emit('job', { event: 'finished', job: view(job) });
+    }
+
+    function schedule() {
+        if (current || closed) return;
+        const job = state.jobs.find(j => j.status === 'queued');
+        if (!job) return;
+
+        const indexes = job.patterns.map((p, i) => i).filter(i => job.patterns[i].found < job.patterns[i].count);
+        const maxTime = job.maxTime === null ? Infinity : job.maxTime - job.elapsed;
+        const maxAttempts = job.maxAttempts === null ? Infinity : job.maxAttempts - job.attempts;
+        if (indexes.length === 0) {
+            finish(job, 'done');
+        } else if (maxTime <= 0 || maxAttempts <= 0) {
+            finish(job, 'exhausted');
+        } else {
+            let search;
+            try {
+                search = generate({
+                    patterns: indexes.map(i => ({ pattern: job.patterns[i].pattern, count: job.patterns[i].count - job.patterns[i].found })),
+                    workers,
+                    engine,
+                    maxTime,
+                    maxAttempts
+                });
+            } catch (error) {
+                finish(job, 'failed', error.message);
+                schedule();
+                return;
+            }
+            start(job, search, indexes);
+            return;
+        }
+        schedule();
+    }
+
+    function start(job, search, indexes) {
+        current = { job, search, indexes, stopping: null };
+        job.status = 'running';
+        if (!job.started) job.started = new Date().toISOString();
+        persist();
+        queue.emit('job', { event: 'started', job: view(job) });
+
+        search.on('match', match => {
+            const pattern = job.patterns[indexes[match.patternIndex]];
+            pattern.found++;
+            let saved;
+            try {
+                saved = save(match, job);
+            } catch (error) {
+                saved = { savedTo: [], saveErrors: [error.message] };
+            } finally {
+                match.seed.fill(0);
+                match.expandedSecretKey.fill(0);
+            }
+            const entry = {
+                pattern: pattern.pattern,
+                onionAddress: match.onionAddress,
+                publicKey: match.publicKey.toString('hex'),
+                files: saved.savedTo,
+                attempts: job.attempts + search.stats().attempts,
+                found: new Date().toISOString()
+            };
+            if (saved.saveErrors.length) entry.errors = saved.saveErrors;
+            job.matches.push(entry);
+            persist();
+            queue.emit('match', { job: view(job), match: entry });
+        });
+
+        search.on('workerError', ({ workerId, error, fatal }) => {
+            queue.emit('workerError', { job: view(job), workerId, error, fatal });
+        });
+
+        search.on('end', summary => {
+            const { stopping } = current;
+            current = null;
+            job.attempts += summary.attempts;
+            job.elapsed += summary.elapsed;
+            if (stopping === 'requeue') {
+                job.status = 'queued';
+                persist();
+            } else if (stopping === 'cancel') {
+                finish(job, 'cancelled');
+            } else if (summary.reason === 'count') {
+                finish(job, 'done');
+            } else if (summary.reason === 'max-time' || summary.reason === 'max-attempts') {
+                job.reason = summary.reason;
+                finish(job, 'exhausted');
+            } else {
+                finish(job, 'failed', 'All workers exited');
+            }
+            schedule();
+        });
+    }
+
+    // A job as the API shows it, with live progress while it runs and the queue position while it waits
+    function view(job) {
+        const result = { ...job, patterns: job.patterns.map(p => ({ ...p })), matches: job.matches.slice() };
+        if (current && current.job === job) {
+            const stats = current.search.stats();
+            result.attempts = job.attempts + stats.attempts;
+            result.elapsed = job.elapsed + stats.elapsed;
+            result.rate = stats.elapsed > 0 ? Math.round(stats.attempts / (stats.elapsed / 1000)) : 0;
+        } else if (job.status === 'queued') {
+            result.position = state.jobs.filter(j => j.status === 'queued').indexOf(job) + 1;
+        }
+        return result;
+    }
+
+    function find(id) {
+        const job = state.jobs.find(j => String(j.id) === String(id));
+        if (!job) {
+            const error = new Error(`No job ${id}`);
+            error.code = 'ENOENT';
+            throw error;
+        }
+        return job;
+    }
+
+    queue.submit = (spec) => {
+        if (closed) throw new Error('The job queue is closed');
+        const { warnings, ...parsed } = parseJobSpec(spec);
+        const job = {
+            id: state.nextId++,
+            status: 'queued',
+            ...parsed,
+            maxTime: parsed.maxTime !== null ? parsed.maxTime : defaultBudget(defaults.maxTime),
+            maxAttempts: parsed.maxAttempts !== null ? parsed.maxAttempts : defaultBudget(defaults.maxAttempts),
+            warnings,
+            submitted: new Date().toISOString(),
+            started: null,
+            finished: null,
+            attempts: 0,
+            elapsed: 0,
+            matches: [],
+            error: null
+        };
+        state.jobs.push(job);
+        persist();
+        queue.emit('job', { event: 'queued', job: view(job) });
+        schedule();
+        return view(job);
+    };
+
+    queue.list = () => state.jobs.map(view);
+    queue.get = (id) => view(find(id));
+
+    // A queued job is dropped from the queue and a running one stopped; its matches so far are kept
+    queue.cancel = (id) => {
+        const job = find(id);
+        if (FINISHED.includes(job.status)) {
+            const error = new Error(`Job ${id} has already finished (${job.status})`);
+            error.code = 'EFINISHED';
+            throw error;
+        }
+        if (current && current.job === job) {
+            current.stopping = 'cancel';
+            current.search.stop();
+        } else {
+            finish(job, 'cancelled');
+        }
+        return view(job);
+    };
+
+    // Stops the running job so that the next start picks it up again, and accepts no more jobs
+    queue.close = () => {
+        closed = true;
+        if (current) {
+            current.stopping = 'requeue';
+            current.search.stop();
+        }
+    };
+
+    // Left to the caller, so that 'error' listeners are in place before the first job starts
+    queue.start = () => {
+        persist();
+        schedule();
+    };
+    return queue;
+}
+
+const defaultBudget = value => (value === undefined || value === Infinity ? null : value);
+
+function loadState(stateFile) {
+    if (!fs.existsSync(stateFile)) return { version: STATE_VERSION, nextId: 1, jobs: [] };
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read the job state ${stateFile}: ${error.message}`);
+    }
+    if (!state || state.version !== STATE_VERSION || !Array.isArray(state.jobs)) {
+        throw new Error(`${stateFile} is not a version ${STATE_VERSION} job state file`);
+    }
+    // A job that was running when the server went down starts over with what it still needs
+    state.jobs.forEach(job => {
+        if (job.status === 'running') job.status = 'queued';
+    });
+    return state;
+}
+
+module.exports = {
+    parseJobSpec,
+    createJobQueue
+};
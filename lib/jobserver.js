@@ -0,0 +1,144 @@
+const fs = require('fs');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { parseHostPort, tokensEqual } = require('./distributed');
+
+// Job submissions are a few patterns; anything larger is refused unread
+const MAX_BODY = 64 * 1024;
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                // The rest is read and dropped, so that the answer still reaches the client
+                req.removeAllListeners('data');
+                req.resume();
+                reject(httpError(413, `The request body is larger than ${MAX_BODY} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// The matches of a job with the contents of their JSON key files, as written (encrypted with --encrypt)
+function jobResults(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        matches: job.matches.map(match => {
+            const file = match.files.find(f => f.endsWith('.json'));
+            let key = null;
+            let error;
+            if (file) {
+                try {
+                    key = JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (err) {
+                    error = `Cannot read ${file}: ${err.message}`;
+                }
+            }
+            return error ? { ...match, key, error } : { ...match, key };
+        })
+    };
+}
+
+// List entries leave out the matches, which GET /jobs/<id> has
+function jobSummary(job) {
+    const { matches, ...summary } = job;
+    return { ...summary, found: matches.length };
+}
+
+async function route(req, queue) {
+    const url = req.url.split('?')[0].replace(/\/+$/, '');
+    const parts = url.split('/').filter(Boolean);
+    if (parts[0] !== 'jobs' || parts.length > 3 || (parts.length === 3 && parts[2] !== 'results')) {
+        throw httpError(404, 'Not found, try /jobs');
+    }
+    const allow = parts.length === 1 ? 'GET, POST' : parts.length === 2 ? 'GET, DELETE' : 'GET';
+    if (!allow.split(', ').includes(req.method)) {
+        const error = httpError(405, `${req.method} is not allowed here (allowed: ${allow})`);
+        error.allow = allow;
+        throw error;
+    }
+
+    if (parts.length === 1 && req.method === 'GET') return [200, { jobs: queue.list().map(jobSummary) }];
+    if (parts.length === 1) {
+        let spec;
+        try {
+            spec = JSON.parse(await readBody(req));
+        } catch (error) {
+            throw error.status ? error : httpError(400, `The request body is not valid JSON: ${error.message}`);
+        }
+        try {
+            return [201, queue.submit(spec)];
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+    }
+
+    try {
+        if (parts.length === 3) return [200, jobResults(queue.get(parts[1]))];
+        if (req.method === 'DELETE') return [200, queue.cancel(parts[1])];
+        return [200, queue.get(parts[1])];
+    } catch (error) {
+        if (error.code === 'ENOENT') throw httpError(404, error.message);
+        if (error.code === 'EFINISHED') throw httpError(409, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Serves the job queue of createJobQueue() as JSON over HTTP on `listen` ("[host:]port",
+ * loopback unless a host is given):
+ *
+ *   GET    /jobs              all jobs with their progress, without matches
+ *   POST   /jobs              submit a job (see parseJobSpec()), answers 201 with the job
+ *   GET    /jobs/<id>         one job with its matches
+ *   GET    /jobs/<id>/results the matches with the contents of their JSON key files
+ *   DELETE /jobs/<id>         cancel a queued or running job
+ *
+ * With a `token`, every request needs "Authorization: Bearer <token>". Errors are answered as
+ * { error }. Returns an EventEmitter with 'listening' ({ host, port }), 'error' and close().
+ */
+function serveJobs(listen, queue, { token = null } = {}) {
+    const { host, port } = parseHostPort(listen);
+    const endpoint = new EventEmitter();
+    const server = http.createServer((req, res) => {
+        const reply = (status, body, headers = {}) => {
+            const text = JSON.stringify(body, null, 2) + '\n';
+            res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text), ...headers });
+            res.end(text);
+        };
+
+        const auth = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (token && !(auth && tokensEqual(auth[1], token))) {
+            reply(401, { error: 'Missing or invalid token' }, { 'WWW-Authenticate': 'Bearer' });
+            return;
+        }
+        route(req, queue).then(([status, body]) => reply(status, body), error => {
+            reply(error.status || 500, { error: error.message }, error.allow ? { Allow: error.allow } : {});
+        });
+    });
+
+    server.on('error', error => endpoint.emit('error', error));
+    server.listen(port, host, () => {
+        endpoint.emit('listening', { host, port: server.address().port });
+    });
+    endpoint.close = () => server.close();
+    return endpoint;
+}
+
+module.exports = {
+    serveJobs
+};
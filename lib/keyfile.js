@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+const ENCRYPTION_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+// scrypt with N = 2^17, r = 8 needs 128 MiB and takes a few hundred ms per file
+const DEFAULT_KDF_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+// The most a key file may ask of decryptKeys, so that a crafted one cannot demand gigabytes of
+// memory or hours of CPU before the passphrase is even checked. scrypt needs 128 * N * r bytes.
+const KDF_LIMITS = { N: 2 ** 20, r: 16, p: 4, memory: 2 ** 30 };
+
+function checkKdfParams(params) {
+    const { N, r, p, salt } = params || {};
+    const ok = Number.isInteger(N) && N > 1 && (N & (N - 1)) === 0 && N <= KDF_LIMITS.N &&
+        Number.isInteger(r) && r >= 1 && r <= KDF_LIMITS.r &&
+        Number.isInteger(p) && p >= 1 && p <= KDF_LIMITS.p &&
+        128 * N * r <= KDF_LIMITS.memory &&
+        typeof salt === 'string' && /^([0-9a-f]{2})+$/i.test(salt);
+    if (!ok) {
+        throw new Error(`Unsupported scrypt parameters in the encrypted key file (allowed: N a power of 2 up to 2^20, r up to ${KDF_LIMITS.r}, p up to ${KDF_LIMITS.p} and at most 1 GiB of memory)`);
+    }
+}
+
+function deriveKey(passphrase, { N, r, p, salt }) {
+    return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), KEY_LENGTH, {
+        N, r, p, maxmem: 256 * N * r
+    });
+}
+
+// The clear fields are bound to the ciphertext, so they cannot be swapped between files unnoticed
+function additionalData(onionAddress, publicKey) {
+    return Buffer.from(`${onionAddress}:${publicKey}`);
+}
+
+function isEncrypted(data) {
+    return Boolean(data && typeof data === 'object' && data.encryption);
+}
+
+/**
+ * Encrypts the seed and expanded secret key of an oniongen JSON object under a passphrase.
+ * The onion address and public key stay in clear next to a versioned `encryption` block.
+ */
+function encryptKeys({ onionAddress, publicKey, seed, expandedSecretKey }, passphrase, kdfParams = DEFAULT_KDF_PARAMS) {
+    if (!passphrase) throw new Error('A passphrase is required to encrypt keys');
+    const params = { ...kdfParams, salt: crypto.randomBytes(SALT_LENGTH).toString('hex') };
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = deriveKey(passphrase, params);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(additionalData(onionAddress, publicKey));
+    const plaintext = Buffer.from(JSON.stringify({ seed, expandedSecretKey }));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    plaintext.fill(0);
+    key.fill(0);
+
+    return {
+        onionAddress,
+        publicKey,
+        encryption: {
+            version: ENCRYPTION_VERSION,
+            kdf: 'scrypt',
+            kdfParams: params,
+            cipher: CIPHER,
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            ciphertext: ciphertext.toString('hex')
+        }
+    };
+}
+
+/**
+ * Reverses encryptKeys. Throws an Error with code 'EBADPASS' when the passphrase is wrong
+ * or the file was modified; GCM cannot tell the two apart.
+ */
+function decryptKeys(data, passphrase) {
+    const { encryption } = data;
+    if (encryption.version !== ENCRYPTION_VERSION) {
+        throw new Error(`Unsupported encrypted key file version ${encryption.version} (expected ${ENCRYPTION_VERSION})`);
+    }
+    if (encryption.kdf !== 'scrypt' || encryption.cipher !== CIPHER) {
+        throw new Error(`Unsupported encryption ${encryption.kdf}/${encryption.cipher}`);
+    }
+    checkKdfParams(encryption.kdfParams);
+    if (!passphrase) throw new Error('A passphrase is required to decrypt keys');
+
+    const key = deriveKey(passphrase, encryption.kdfParams);
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encryption.iv, 'hex'));
+    decipher.setAAD(additionalData(data.onionAddress, data.publicKey));
+    decipher.setAuthTag(Buffer.from(encryption.tag, 'hex'));
+    let plaintext;
+    try {
+        plaintext = Buffer.concat([decipher.update(Buffer.from(encryption.ciphertext, 'hex')), decipher.final()]);
+    } catch (err) {
+        const error = new Error('Wrong passphrase, or the encrypted key file has been modified');
+        error.code = 'EBADPASS';
+        throw error;
+    } finally {
+        key.fill(0);
+    }
+
+    const { seed, expandedSecretKey } = JSON.parse(plaintext.toString('utf8'));
+    plaintext.fill(0);
+    return { onionAddress: data.onionAddress, publicKey: data.publicKey, seed, expandedSecretKey };
+}
+
+module.exports = {
+    ENCRYPTION_VERSION,
+    DEFAULT_KDF_PARAMS,
+    isEncrypted,
+    encryptKeys,
+    decryptKeys
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { verifyKeySource } = require('./batch');
+const { writeFileAtomic, shredFile } = require('./files');
+const { isEncrypted } = require('./keyfile');
+const { onionAddressFromPublicKey } = require('./onion');
+
+const KEYSTORE_ENV = 'ONIONGEN_KEYSTORE';
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const KEYS_DIR = 'keys';
+const LOCK_FILE = 'index.lock';
+// How long a change waits for another process to release the index
+const LOCK_TIMEOUT = 10000;
+
+const ADDRESS = /^[a-z2-7]{56}$/;
+const TAG = /^[A-Za-z0-9_.-]+$/;
+
+function defaultKeystoreDir() {
+    return process.env[KEYSTORE_ENV] || path.join(os.homedir(), '.oniongen', 'keystore');
+}
+
+const normalizeAddress = address => String(address).trim().toLowerCase().replace(/\.onion$/, '');
+
+// Tags as a list or as "a,b,c", checked and without duplicates
+function parseTags(tags) {
+    const list = (Array.isArray(tags) ? tags : String(tags).split(',')).map(tag => tag.trim()).filter(Boolean);
+    list.forEach(tag => {
+        if (!TAG.test(tag)) throw new Error(`Invalid tag "${tag}": tags may only contain letters, digits, ".", "_" and "-"`);
+    });
+    return [...new Set(list)];
+}
+
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+// The index lock is a file created with O_EXCL that holds its owner's pid; the lock of a
+// process that is gone is taken over. Returns the function that releases it.
+function acquireLock(dir) {
+    const file = path.join(dir, LOCK_FILE);
+    const deadline = Date.now() + LOCK_TIMEOUT;
+    for (;;) {
+        try {
+            const fd = fs.openSync(file, 'wx', 0o600);
+            fs.writeSync(fd, String(process.pid));
+            fs.closeSync(fd);
+            return () => fs.rmSync(file, { force: true });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        let pid = 0;
+        try {
+            pid = Number(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            // released meanwhile
+        }
+        if (pid && !isRunning(pid)) {
+            fs.rmSync(file, { force: true });
+            continue;
+        }
+        if (Date.now() > deadline) {
+            throw new Error(`The keystore ${dir} is locked by process ${pid || 'unknown'}; remove ${file} if that process is gone`);
+        }
+        sleep(50);
+    }
+}
+
+/**
+ * Opens the keystore in `dir`: an index.json with one entry per key (address, public key,
+ * the pattern it was generated for, when it was added, tags, a note and where it came from)
+ * and the key files themselves in keys/<address>.json, exactly as oniongen writes them.
+ * Changes to the index are made under a lock file, so several runs can share a keystore.
+ * Without `create`, a directory that holds no keystore is an error.
+ */
+function openKeystore(dir, { create = false } = {}) {
+    const indexFile = path.join(dir, INDEX_FILE);
+    const keysDir = path.join(dir, KEYS_DIR);
+
+    if (!fs.existsSync(indexFile)) {
+        if (!create) throw new Error(`${dir} is not a keystore (create one with: onionkey store init)`);
+        fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
+        try {
+            writeFileAtomic(indexFile, JSON.stringify({ version: INDEX_VERSION, keys: [] }, null, 2) + '\n');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    function readIndex() {
+        let index;
+        try {
+            index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read the keystore index ${indexFile}: ${error.message}`);
+        }
+        if (!index || index.version !== INDEX_VERSION || !Array.isArray(index.keys)) {
+            throw new Error(`${indexFile} is not a version ${INDEX_VERSION} keystore index`);
+        }
+        return index;
+    }
+
+    // Read-modify-write of the index under the lock
+    function change(fn) {
+        const release = acquireLock(dir);
+        try {
+            const index = readIndex();
+            const result = fn(index);
+            writeFileAtomic(indexFile, JSON.stringify(index, null, 2) + '\n', { overwrite: true });
+            return result;
+        } finally {
+            release();
+        }
+    }
+
+    // An entry by its address or an unambiguous prefix of it
+    function lookup(keys, query) {
+        const address = normalizeAddress(query);
+        const exact = keys.find(entry => entry.onionAddress === address);
+        if (exact) return exact;
+        const matches = address ? keys.filter(entry => entry.onionAddress.startsWith(address)) : [];
+        if (matches.length === 1) return matches[0];
+        if (matches.length === 0) throw new Error(`No key ${query} in the keystore`);
+        throw new Error(`${query} matches ${matches.length} keys (${matches.map(entry => entry.onionAddress.slice(0, 12)).join(', ')}...), give more of the address`);
+    }
+
+    const keyFile = entry => path.join(dir, entry.file);
+
+    function readStoredKey(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stores a key in oniongen's JSON shape, encrypted or not, and indexes it. An address that is
+     * already in the keystore is refused with code 'EEXIST' unless `overwrite` is set. So is a key
+     * file of the same address without an index entry, unless it holds exactly this key data, in
+     * which case it is indexed as it is.
+     */
+    function add(data, { pattern = null, tags = [], note = '', source = null, overwrite = false } = {}) {
+        const onionAddress = normalizeAddress(data.onionAddress || '');
+        if (!ADDRESS.test(onionAddress)) throw new Error('The key has no valid onion address');
+        if (!/^[0-9a-f]{64}$/i.test(data.publicKey || '') || onionAddressFromPublicKey(Buffer.from(data.publicKey, 'hex')) !== onionAddress) {
+            throw new Error(`The public key does not belong to ${onionAddress}.onion`);
+        }
+        const entry = {
+            onionAddress,
+            publicKey: data.publicKey.toLowerCase(),
+            file: `${KEYS_DIR}/${onionAddress}.json`,
+            added: new Date().toISOString(),
+            pattern,
+            tags: parseTags(tags),
+            note,
+            source,
+            encrypted: isEncrypted(data)
+        };
+
+        return change(index => {
+            const existing = index.keys.findIndex(e => e.onionAddress === onionAddress);
+            if (existing !== -1 && !overwrite) {
+                const error = new Error(`${onionAddress}.onion is already in the keystore`);
+                error.code = 'EEXIST';
+                error.path = keyFile(entry);
+                throw error;
+            }
+            const contents = { ...data, onionAddress };
+            const stored = existing === -1 && !overwrite ? readStoredKey(keyFile(entry)) : null;
+            if (stored && !isDeepStrictEqual(stored, contents)) {
+                // Indexing it as it is would drop `data`, e.g. keep a plaintext file for an encrypted key
+                const error = new Error(`${keyFile(entry)} already exists without an index entry and holds different key data`);
+                error.code = 'EEXIST';
+                error.path = keyFile(entry);
+                throw error;
+            }
+            if (!stored) {
+                fs.mkdirSync(keysDir, { recursive: true, mode: 0o700 });
+                writeFileAtomic(keyFile(entry), JSON.stringify(contents, null, 2), { overwrite });
+            }
+            if (existing === -1) index.keys.push(entry);
+            else index.keys[existing] = entry;
+            return entry;
+        });
+    }
+
+    // Entries in the order they were added; `tag` and `pattern` must match exactly, `search` is a regex on the address
+    function list({ tag, pattern, search } = {}) {
+        const regex = search !== undefined ? new RegExp(search) : null;
+        return readIndex().keys.filter(entry =>
+            (tag === undefined || entry.tags.includes(tag)) &&
+            (pattern === undefined || entry.pattern === pattern) &&
+            (!regex || regex.test(entry.onionAddress)));
+    }
+
+    function get(query) {
+        return lookup(readIndex().keys, query);
+    }
+
+    function readKey(entry) {
+        try {
+            return JSON.parse(fs.readFileSync(keyFile(entry), 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read the key file of ${entry.onionAddress}.onion: ${error.message}`);
+        }
+    }
+
+    // Adds and removes tags and replaces the note (when given) of one entry
+    function annotate(query, { addTags = [], removeTags = [], note } = {}) {
+        const add = parseTags(addTags);
+        const remove = parseTags(removeTags);
+        return change(index => {
+            const entry = lookup(index.keys, query);
+            entry.tags = [...new Set([...entry.tags, ...add])].filter(tag => !remove.includes(tag));
+            if (note !== undefined) entry.note = note;
+            return entry;
+        });
+    }
+
+    /**
+     * Deletes a key for good: the key file is overwritten and unlinked (see shredFile()) and the
+     * entry dropped from the index. Only the full address is accepted.
+     */
+    function remove(address) {
+        const onionAddress = normalizeAddress(address);
+        return change(index => {
+            const i = index.keys.findIndex(entry => entry.onionAddress === onionAddress);
+            if (i === -1) throw new Error(`No key ${address} in the keystore (deleting needs the full address)`);
+            const [entry] = index.keys.splice(i, 1);
+            try {
+                shredFile(keyFile(entry));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Runs the test.js checks on every key file, plus whether the index entry agrees with its
+     * file, in the result shape of verifyKeySource(). Key files that are not in the index are
+     * reported as errors. Encrypted keys need `passphrase`.
+     */
+    function check({ passphrase = null } = {}) {
+        const { keys } = readIndex();
+        const results = keys.map(entry => {
+            const result = verifyKeySource({ path: keyFile(entry), type: 'json' }, { passphrase });
+            if (result.error) return result;
+            result.checks.push({
+                name: 'Index Entry ↔ Key File',
+                result: result.onionAddress === entry.onionAddress &&
+                    onionAddressFromPublicKey(Buffer.from(entry.publicKey, 'hex')) === entry.onionAddress
+            });
+            result.ok = result.checks.every(c => c.result);
+            return result;
+        });
+
+        const indexed = new Set(keys.map(entry => path.basename(entry.file)));
+        let files = [];
+        try {
+            files = fs.readdirSync(keysDir).filter(name => name.endsWith('.json') && !name.startsWith('.')).sort();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        files.filter(name => !indexed.has(name)).forEach(name => {
+            results.push({
+                path: path.join(keysDir, name),
+                type: 'json',
+                onionAddress: null,
+                checks: [],
+                ok: false,
+                error: 'Not in the index (add it with: onionkey store import)'
+            });
+        });
+        return results;
+    }
+
+    return { dir, add, list, get, readKey, keyFile, annotate, remove, check };
+}
+
+module.exports = {
+    KEYSTORE_ENV,
+    defaultKeystoreDir,
+    parseTags,
+    openKeystore
+};
@@ -0,0 +1,62 @@
+const path = require('path');
+
+// A single call slower than this is reported, since the worker's whole search waits for it
+const SLOW_MATCH_MS = 100;
+
+/**
+ * Loads a matcher module from `file`. It exports either a predicate
+ * `(onionAddress, publicKey, options) => boolean`, or an object with that predicate as match()
+ * and an optional init(options), which every worker runs once (and awaits) before searching.
+ */
+function loadMatcher(file) {
+    const resolved = path.resolve(file);
+    let exported;
+    try {
+        exported = require(resolved);
+    } catch (error) {
+        throw new Error(`Cannot load matcher ${file}: ${error.message}`);
+    }
+    const isFunction = typeof exported === 'function';
+    if (!isFunction && !(exported && typeof exported.match === 'function')) {
+        throw new Error(`Matcher ${file} must export a function, or an object with a match() function`);
+    }
+    if (!isFunction && exported.init !== undefined && typeof exported.init !== 'function') {
+        throw new Error(`Matcher ${file}: init must be a function`);
+    }
+    return {
+        file: resolved,
+        init: options => (!isFunction && exported.init ? exported.init(options) : undefined),
+        match: (onionAddress, publicKey, options) => (isFunction ? exported(onionAddress, publicKey, options) : exported.match(onionAddress, publicKey, options))
+    };
+}
+
+/**
+ * The predicate a worker's pattern set calls for every candidate that matched a regex. A matcher
+ * that throws rejects the candidate, and that as well as slow calls and non-boolean answers go to
+ * `report(key, message)`; `name` is how the matcher is called in those messages.
+ */
+function createPredicate(matcher, options, name, report) {
+    return (onionAddress, publicKey) => {
+        const start = process.hrtime.bigint();
+        try {
+            const result = matcher.match(onionAddress, publicKey, options);
+            if (result && typeof result.then === 'function') {
+                report('async', `Matcher ${name} returned a promise; match() has to answer synchronously, so the candidate was skipped`);
+                return false;
+            }
+            return Boolean(result);
+        } catch (error) {
+            report('threw', `Matcher ${name} threw for ${onionAddress}: ${error.message}; the candidate was skipped`);
+            return false;
+        } finally {
+            const ms = Number(process.hrtime.bigint() - start) / 1e6;
+            if (ms > SLOW_MATCH_MS) report('slow', `Matcher ${name} took ${Math.round(ms)} ms for one candidate; the search waits for it`);
+        }
+    };
+}
+
+module.exports = {
+    SLOW_MATCH_MS,
+    loadMatcher,
+    createPredicate
+};
@@ -0,0 +1,77 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { parseHostPort } = require('./distributed');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function labels(values) {
+    const pairs = Object.entries(values).map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A monitor snapshot in the Prometheus text exposition format. Counters are cumulative over the
+ * run; rates are averaged over the monitor's rate window.
+ */
+function formatMetrics(snapshot) {
+    const out = [];
+    const metric = (name, type, help, samples) => {
+        out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([values, value]) => out.push(`${name}${labels(values)} ${value}`));
+    };
+
+    metric('oniongen_attempts_total', 'counter', 'Candidate keys tried.', [[{}, snapshot.attempts]]);
+    metric('oniongen_attempts_per_second', 'gauge', 'Recent attempt rate.', [[{}, snapshot.rate]]);
+    metric('oniongen_elapsed_seconds', 'gauge', 'Time since the search started.', [[{}, snapshot.elapsed / 1000]]);
+    metric('oniongen_worker_attempts_total', 'counter', 'Candidate keys tried per worker.',
+        snapshot.workers.map(w => [{ worker: w.id }, w.attempts]));
+    metric('oniongen_worker_attempts_per_second', 'gauge', 'Recent attempt rate per worker.',
+        snapshot.workers.map(w => [{ worker: w.id }, w.rate]));
+    metric('oniongen_worker_up', 'gauge', 'Whether the worker is searching (0 when stalled or crashed).',
+        snapshot.workers.map(w => [{ worker: w.id }, w.status === 'running' ? 1 : 0]));
+    metric('oniongen_worker_errors_total', 'counter', 'Errors reported per worker.',
+        snapshot.workers.map(w => [{ worker: w.id }, w.errors]));
+    metric('oniongen_matches_total', 'counter', 'Matching addresses found per pattern.',
+        snapshot.patterns.map(p => [{ pattern: p.pattern }, p.found]));
+    metric('oniongen_matches_target', 'gauge', 'Matching addresses wanted per pattern.',
+        snapshot.patterns.map(p => [{ pattern: p.pattern }, p.count]));
+    metric('oniongen_hit_chance', 'gauge', 'Chance that the attempts so far produce the wanted number of matches.',
+        snapshot.patterns.filter(p => p.chance !== null).map(p => [{ pattern: p.pattern }, p.chance]));
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Serves formatMetrics(getSnapshot()) at GET /metrics on `listen` ("[host:]port", loopback unless
+ * a host is given). Returns an EventEmitter with 'listening' ({ host, port }), 'error' and close().
+ */
+function serveMetrics(listen, getSnapshot) {
+    const { host, port } = parseHostPort(listen);
+    const endpoint = new EventEmitter();
+    const server = http.createServer((req, res) => {
+        if (req.url.split('?')[0] !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found, try /metrics\n');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+        const body = formatMetrics(getSnapshot());
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPE, 'Content-Length': Buffer.byteLength(body) });
+        res.end(req.method === 'HEAD' ? undefined : body);
+    });
+
+    server.on('error', error => endpoint.emit('error', error));
+    server.listen(port, host, () => {
+        endpoint.emit('listening', { host, port: server.address().port });
+    });
+    endpoint.close = () => server.close();
+    return endpoint;
+}
+
+module.exports = {
+    formatMetrics,
+    serveMetrics
+};
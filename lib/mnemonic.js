@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The BIP39 English wordlist, SHA-256 2f5eed53a4727b4bf8880d8f3f199efc90e58503646d9ff8eff3a2ed3b24dbda
+const WORDLIST_FILE = path.join(__dirname, 'bip39-english.txt');
+const SEED_WORDS = 24;
+
+let wordlist = null;
+let wordIndex = null;
+
+function loadWordlist() {
+    if (!wordlist) {
+        wordlist = fs.readFileSync(WORDLIST_FILE, 'utf8').split('\n').filter(Boolean);
+        if (wordlist.length !== 2048) throw new Error(`${WORDLIST_FILE} must hold 2048 words, got ${wordlist.length}`);
+        wordIndex = new Map(wordlist.map((word, i) => [word, i]));
+    }
+    return wordlist;
+}
+
+function checksumBits(entropy) {
+    const bits = entropy.length * 8 / 32;
+    return crypto.createHash('sha256').update(entropy).digest()[0] >> (8 - bits);
+}
+
+/**
+ * Encodes a 32-byte seed as 24 BIP39 words: 256 bits of entropy and 8 checksum bits (the first
+ * byte of its SHA-256), 11 bits per word. The seed is the entropy itself, not a BIP39 wallet seed.
+ */
+function seedToMnemonic(seed) {
+    if (seed.length !== 32) throw new Error('The seed must be 32 bytes');
+    const words = loadWordlist();
+    let bits = BigInt(`0x${Buffer.from(seed).toString('hex')}`);
+    bits = (bits << 8n) | BigInt(checksumBits(seed));
+    const out = [];
+    for (let i = 0; i < SEED_WORDS; i++) {
+        out.unshift(words[Number(bits & 2047n)]);
+        bits >>= 11n;
+    }
+    return out.join(' ');
+}
+
+// Words are unique in their first four letters, so those are enough, as BIP39 intends
+function lookupWord(word, position) {
+    const words = loadWordlist();
+    if (wordIndex.has(word)) return wordIndex.get(word);
+    const matches = word.length >= 4 ? words.filter(w => w.startsWith(word.slice(0, 4))) : [];
+    if (matches.length === 1 && matches[0].startsWith(word)) return wordIndex.get(matches[0]);
+    const hint = matches.length ? ` (did you mean ${matches.slice(0, 3).join(', ')}?)` : '';
+    throw new Error(`Word ${position} "${word}" is not in the BIP39 English wordlist${hint}`);
+}
+
+// The 32-byte seed from 24 words; throws on unknown words or a checksum mismatch
+function mnemonicToSeed(mnemonic) {
+    const words = String(mnemonic).toLowerCase().split(/[\s,]+/).filter(word => word && !/^\d+[.)]?$/.test(word));
+    if (words.length !== SEED_WORDS) throw new Error(`Expected ${SEED_WORDS} words, got ${words.length}`);
+
+    let bits = 0n;
+    words.forEach((word, i) => {
+        bits = (bits << 11n) | BigInt(lookupWord(word, i + 1));
+    });
+    const seed = Buffer.from((bits >> 8n).toString(16).padStart(64, '0'), 'hex');
+    if (Number(bits & 0xffn) !== checksumBits(seed)) {
+        throw new Error('Checksum mismatch: a word is wrong or the words are out of order');
+    }
+    return seed;
+}
+
+module.exports = {
+    SEED_WORDS,
+    seedToMnemonic,
+    mnemonicToSeed
+};
@@ -0,0 +1,107 @@
+const RATE_WINDOW = 10;
+const HISTORY_LENGTH = 60;
+const STALL_SECONDS = 10;
+
+/**
+ * Chance that `attempts` tries with a per-attempt hit `probability` produce at least `count`
+ * hits, from the Poisson approximation of the binomial distribution.
+ */
+function chanceOfHits(attempts, probability, count = 1) {
+    const lambda = attempts * probability;
+    let term = Math.exp(-lambda);
+    let below = 0;
+    for (let i = 0; i < count && term > 0; i++) {
+        below += term;
+        term *= lambda / (i + 1);
+    }
+    return Math.min(1, Math.max(0, 1 - below));
+}
+
+/**
+ * Turns the cumulative counters of a search into rates, worker health and hit chances.
+ * sample() takes search.stats() once per second; workerError() takes the search's
+ * 'workerError' events. A worker is 'stalled' when its attempts did not move for
+ * STALL_SECONDS and 'crashed' after a fatal error.
+ */
+function createMonitor({ workers, patterns = [], now = Date.now }) {
+    const startTime = now();
+    // Cumulative attempts per second, oldest first: { time, attempts, workerAttempts }
+    const samples = [];
+    const workerState = Array.from({ length: workers }, () => ({ lastChange: startTime, errors: 0, lastError: null, crashed: false }));
+    let latest = { attempts: 0, workerAttempts: new Array(workers).fill(0), patterns: [] };
+
+    function sample(stats) {
+        const time = now();
+        const previous = samples.length ? samples[samples.length - 1] : null;
+        stats.workerAttempts.forEach((attempts, i) => {
+            if (!previous || attempts !== previous.workerAttempts[i]) workerState[i].lastChange = time;
+        });
+        samples.push({ time, attempts: stats.attempts, workerAttempts: stats.workerAttempts.slice() });
+        if (samples.length > HISTORY_LENGTH + 1) samples.shift();
+        latest = stats;
+    }
+
+    function workerError({ workerId, error, fatal }) {
+        const state = workerState[workerId];
+        if (!state) return;
+        state.errors++;
+        state.lastError = error.message;
+        if (fatal) state.crashed = true;
+    }
+
+    // Attempts per second over the last `seconds` samples, of the total or of one worker
+    function rate(seconds, worker = null) {
+        if (samples.length < 2) return 0;
+        const last = samples[samples.length - 1];
+        const first = samples[Math.max(0, samples.length - 1 - seconds)];
+        const count = s => (worker === null ? s.attempts : s.workerAttempts[worker]);
+        const elapsed = (last.time - first.time) / 1000;
+        return elapsed > 0 ? (count(last) - count(first)) / elapsed : 0;
+    }
+
+    function snapshot() {
+        const time = now();
+        const history = [];
+        for (let i = 1; i < samples.length; i++) {
+            const elapsed = (samples[i].time - samples[i - 1].time) / 1000;
+            history.push(elapsed > 0 ? (samples[i].attempts - samples[i - 1].attempts) / elapsed : 0);
+        }
+        return {
+            elapsed: time - startTime,
+            attempts: latest.attempts,
+            rate: rate(RATE_WINDOW),
+            history,
+            workers: workerState.map((state, i) => {
+                const idle = Math.floor((time - state.lastChange) / 1000);
+                return {
+                    id: i,
+                    attempts: latest.workerAttempts[i] || 0,
+                    rate: rate(RATE_WINDOW, i),
+                    status: state.crashed ? 'crashed' : idle >= STALL_SECONDS ? 'stalled' : 'running',
+                    idle,
+                    errors: state.errors,
+                    lastError: state.lastError
+                };
+            }),
+            patterns: patterns.map((p, i) => {
+                const found = latest.patterns[i] ? latest.patterns[i].found : 0;
+                return {
+                    pattern: p.pattern,
+                    count: p.count,
+                    found,
+                    probability: p.probability,
+                    chance: p.probability === null ? null : chanceOfHits(latest.attempts, p.probability, p.count)
+                };
+            })
+        };
+    }
+
+    return { sample, workerError, snapshot };
+}
+
+module.exports = {
+    RATE_WINDOW,
+    STALL_SECONDS,
+    chanceOfHits,
+    createMonitor
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const { packPoint, scalarBase } = require('./ed25519');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ONION_CHECKSUM_PREFIX = Buffer.from('.onion checksum');
+const ONION_VERSION = 0x03;
+
+function hexToBuffer(hex) {
+    if (hex.length % 2) throw new Error('Hex length must be even');
+    return Buffer.from(hex, 'hex');
+}
+
+// Unpadded lowercase base32 (RFC 4648 alphabet), as used by tor for addresses and keys
+function base32Encode(data) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (let i = 0; i < data.length; i++) {
+        value = (value << 8) | data[i];
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output.toLowerCase();
+}
+
+// Decodes unpadded base32 in either case; trailing bits that do not fill a byte are dropped
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const index = BASE32_ALPHABET.indexOf(text[i].toUpperCase());
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${text[i]}" at position ${i + 1}`);
+        }
+        value = ((value << 5) | index) & 0xfff;
+        bits += 5;
+
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+function sha3_256(data) {
+    return crypto.createHash('sha3-256').update(data).digest();
+}
+
+function onionChecksum(publicKey, version = ONION_VERSION) {
+    return sha3_256(Buffer.concat([ONION_CHECKSUM_PREFIX, publicKey, Buffer.from([version])])).subarray(0, 2);
+}
+
+function onionAddressFromPublicKey(publicKey) {
+    const version = Buffer.from([ONION_VERSION]);
+    return base32Encode(Buffer.concat([publicKey, onionChecksum(publicKey), version]));
+}
+
+function calcOnionFromPub(pubBuf) {
+    return onionAddressFromPublicKey(pubBuf) + '.onion';
+}
+
+function generateOnionAddress() {
+    let rawPublicKey, rawPrivateKey;
+
+    try {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+            publicKeyEncoding: { type: 'spki', format: 'pem' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+
+        const publicKeyObj = crypto.createPublicKey(publicKey);
+        const privateKeyObj = crypto.createPrivateKey(privateKey);
+
+        rawPublicKey = publicKeyObj.export({ type: 'spki', format: 'der' });
+        rawPrivateKey = privateKeyObj.export({ type: 'pkcs8', format: 'der' });
+
+        let pubOffset = -1;
+        for (let i = 0; i < rawPublicKey.length - 32; i++) {
+            if (rawPublicKey[i] === 0x03 && rawPublicKey[i + 1] === 0x21 && rawPublicKey[i + 2] === 0x00) {
+                pubOffset = i + 3;
+                break;
+            }
+        }
+        if (pubOffset === -1) {
+            rawPublicKey = rawPublicKey.slice(-32);
+        } else {
+            rawPublicKey = rawPublicKey.slice(pubOffset, pubOffset + 32);
+        }
+
+        let seedOffset = -1;
+        for (let i = 0; i < rawPrivateKey.length - 33; i++) {
+            if (rawPrivateKey[i] === 0x04 && rawPrivateKey[i + 1] === 0x20) {
+                seedOffset = i + 2;
+                break;
+            }
+        }
+        if (seedOffset === -1) {
+            rawPrivateKey = rawPrivateKey.slice(-32);
+        } else {
+            rawPrivateKey = rawPrivateKey.slice(seedOffset, seedOffset + 32);
+        }
+    } catch (error) {
+        throw new Error('Failed to generate Ed25519 keys: ' + error.message);
+    }
+
+    const onionAddress = onionAddressFromPublicKey(rawPublicKey);
+
+    return { onionAddress, publicKey: rawPublicKey, privateKey: rawPrivateKey };
+}
+
+function expandSecretKey(seed) {
+    const hash = crypto.createHash('sha512').update(seed).digest();
+
+    const expanded = Buffer.from(hash);
+    expanded[0] &= 248;
+    expanded[31] &= 127;
+    expanded[31] |= 64;
+
+    return expanded;
+}
+
+function derivePubFromSeedHex(seedHex) {
+    const clean = seedHex.trim().toLowerCase();
+    if (!/^[0-9a-f]+$/.test(clean)) throw new Error('Seed hex format error');
+    if (clean.length !== 64) {
+        throw new Error('Seed must be 64 hex characters (32 bytes).');
+    }
+    const seed = hexToBuffer(clean);
+    const kp = nacl.sign.keyPair.fromSeed(new Uint8Array(seed));
+    return Buffer.from(kp.publicKey).toString('hex');
+}
+
+function derivePubFromExpandedHex(expandedHex) {
+    const clean = expandedHex.trim().toLowerCase();
+    if (!/^[0-9a-f]{128}$/.test(clean)) {
+        throw new Error('Expanded secret key must be 128 hex characters (64 bytes).');
+    }
+    // The expanded key holds the already clamped scalar in its first half, so A = a*B directly
+    const p = scalarBase(hexToBuffer(clean).subarray(0, 32));
+    return Buffer.from(packPoint(p)).toString('hex');
+}
+
+module.exports = {
+    BASE32_ALPHABET,
+    ONION_VERSION,
+    hexToBuffer,
+    base32Encode,
+    base32Decode,
+    sha3_256,
+    onionChecksum,
+    onionAddressFromPublicKey,
+    calcOnionFromPub,
+    generateOnionAddress,
+    expandSecretKey,
+    derivePubFromSeedHex,
+    derivePubFromExpandedHex
+};
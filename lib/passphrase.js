@@ -0,0 +1,80 @@
+const fs = require('fs');
+const readline = require('readline');
+
+const PASSPHRASE_ENV = 'ONIONGEN_PASSPHRASE';
+
+// Reads one line from a terminal without echoing it
+function promptHidden(question) {
+    const input = process.stdin;
+    if (!input.isTTY) {
+        const rl = readline.createInterface({ input, terminal: false });
+        process.stderr.write(question);
+        return new Promise((resolve, reject) => {
+            rl.once('line', line => { resolve(line); rl.close(); });
+            rl.once('close', () => reject(new Error('No passphrase given on stdin')));
+        });
+    }
+
+    return new Promise((resolve, reject) => {
+        let answer = '';
+        process.stderr.write(question);
+        input.setRawMode(true);
+        input.resume();
+        input.setEncoding('utf8');
+        const done = (error) => {
+            input.setRawMode(false);
+            input.pause();
+            input.removeListener('data', onData);
+            process.stderr.write('\n');
+            if (error) reject(error);
+            else resolve(answer);
+        };
+        const onData = (chunk) => {
+            for (const c of chunk) {
+                if (c === '\r' || c === '\n' || c === '\u0004') return done();
+                if (c === '\u0003') return done(new Error('Cancelled'));
+                if (c === '\u007f' || c === '\b') answer = answer.slice(0, -1);
+                else answer += c;
+            }
+        };
+        input.on('data', onData);
+    });
+}
+
+/**
+ * Finds the passphrase in a file (first line), then in $ONIONGEN_PASSPHRASE, and
+ * finally asks for it on the terminal unless `interactive` is false.
+ * With `confirm`, a prompted passphrase has to be typed twice.
+ */
+async function getPassphrase({ file, interactive = true, confirm = false } = {}) {
+    if (file) {
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read passphrase file: ${err.message}`);
+        }
+        const passphrase = text.split(/\r?\n/)[0];
+        if (!passphrase) throw new Error(`Passphrase file ${file} is empty`);
+        return passphrase;
+    }
+    if (process.env[PASSPHRASE_ENV]) {
+        return process.env[PASSPHRASE_ENV];
+    }
+    if (!interactive) {
+        throw new Error(`No passphrase: use --passphrase-file or set ${PASSPHRASE_ENV}`);
+    }
+
+    const passphrase = await promptHidden('Passphrase: ');
+    if (!passphrase) throw new Error('Passphrase must not be empty');
+    if (confirm && process.stdin.isTTY && passphrase !== await promptHidden('Repeat passphrase: ')) {
+        throw new Error('Passphrases do not match');
+    }
+    return passphrase;
+}
+
+module.exports = {
+    PASSPHRASE_ENV,
+    promptHidden,
+    getPassphrase
+};
@@ -0,0 +1,400 @@
+const ADDRESS_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const ADDRESS_LENGTH = 56;
+
+class UnsupportedPattern extends Error {}
+
+// The last 5 bits of an address are the version byte 0x03 and the 3 bits before them are zero,
+// so every v3 address ends in one of "ad", "id", "qd" or "yd"
+function positionChars(position) {
+    if (position === ADDRESS_LENGTH - 1) return 'd';
+    if (position === ADDRESS_LENGTH - 2) return 'aiqy';
+    return ADDRESS_ALPHABET;
+}
+
+function charSet(chars, foreign = []) {
+    return { type: 'set', allowed: new Set(chars), foreign };
+}
+
+function neverAppear(chars) {
+    const list = chars.map(c => `'${c}'`).join(', ');
+    return `${list} ${chars.length === 1 ? 'never appears' : 'never appear'} in onion addresses`;
+}
+
+const TOO_LONG = `the pattern needs more than ${ADDRESS_LENGTH} characters, but v3 addresses have exactly ${ADDRESS_LENGTH}`;
+
+function rangeChars(from, to) {
+    const out = [];
+    for (let c = from.charCodeAt(0); c <= to.charCodeAt(0); c++) out.push(String.fromCharCode(c));
+    return out;
+}
+
+const ESCAPES = {
+    d: () => rangeChars('0', '9'),
+    w: () => [...rangeChars('a', 'z'), ...rangeChars('A', 'Z'), ...rangeChars('0', '9'), '_']
+};
+
+function parsePattern(source) {
+    let pos = 0;
+
+    function fail(message) {
+        throw new UnsupportedPattern(message);
+    }
+
+    function parseEscape(inClass) {
+        const c = source[pos + 1];
+        pos += 2;
+        if (ESCAPES[c]) return ESCAPES[c]();
+        if (c === 'D' || c === 'W') {
+            const excluded = new Set(ESCAPES[c.toLowerCase()]());
+            return [...ADDRESS_ALPHABET].filter(ch => !excluded.has(ch));
+        }
+        if (/[sStnrfv0]/.test(c)) return [];
+        if (!inClass && /[bB1-9k]/.test(c)) fail(`\\${c} is not supported by the analyzer`);
+        if (/[xuc]/.test(c)) fail(`\\${c} escapes are not supported by the analyzer`);
+        return [c];
+    }
+
+    function parseClass() {
+        pos++;
+        const negated = source[pos] === '^';
+        if (negated) pos++;
+        const listed = [];
+        while (pos < source.length && source[pos] !== ']') {
+            let chars;
+            if (source[pos] === '\\') {
+                chars = parseEscape(true);
+            } else {
+                chars = [source[pos]];
+                pos++;
+            }
+            if (chars.length === 1 && source[pos] === '-' && source[pos + 1] && source[pos + 1] !== ']') {
+                const to = source[pos + 1] === '\\' ? source[pos + 2] : source[pos + 1];
+                pos += source[pos + 1] === '\\' ? 3 : 2;
+                chars = rangeChars(chars[0], to);
+            }
+            listed.push(...chars);
+        }
+        if (source[pos] !== ']') fail('unterminated character class');
+        pos++;
+
+        if (negated) {
+            const excluded = new Set(listed);
+            return charSet([...ADDRESS_ALPHABET].filter(c => !excluded.has(c)));
+        }
+        const foreign = [...new Set(listed.filter(c => !ADDRESS_ALPHABET.includes(c)))];
+        return charSet(listed.filter(c => ADDRESS_ALPHABET.includes(c)), foreign);
+    }
+
+    function parseAtom() {
+        const c = source[pos];
+        if (c === '^') { pos++; return { type: 'start' }; }
+        if (c === '$') { pos++; return { type: 'end' }; }
+        if (c === '.') { pos++; return charSet(ADDRESS_ALPHABET); }
+        if (c === '[') return parseClass();
+        if (c === '(') {
+            pos++;
+            if (source.startsWith('?:', pos)) pos += 2;
+            else if (source[pos] === '?') fail('lookarounds and named groups are not supported by the analyzer');
+            const branches = parseAlternation();
+            if (source[pos] !== ')') fail('unbalanced parenthesis');
+            pos++;
+            return { type: 'group', branches };
+        }
+        if (c === '\\') {
+            const chars = parseEscape(false);
+            return charSet(chars.filter(ch => ADDRESS_ALPHABET.includes(ch)), chars.filter(ch => !ADDRESS_ALPHABET.includes(ch)));
+        }
+        pos++;
+        return ADDRESS_ALPHABET.includes(c) ? charSet([c]) : charSet([], [c]);
+    }
+
+    function parseQuantifier() {
+        const c = source[pos];
+        let q = { min: 1, max: 1 };
+        if (c === '*') q = { min: 0, max: Infinity };
+        else if (c === '+') q = { min: 1, max: Infinity };
+        else if (c === '?') q = { min: 0, max: 1 };
+        else if (c === '{') {
+            const m = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+            if (!m) return q;
+            const min = Number(m[1]);
+            const max = m[2] === undefined ? min : (m[3] === '' ? Infinity : Number(m[3]));
+            pos += m[0].length;
+            if (source[pos] === '?') pos++;
+            return { min, max };
+        } else {
+            return q;
+        }
+        pos++;
+        if (source[pos] === '?') pos++;
+        return q;
+    }
+
+    function parseSequence() {
+        const start = pos;
+        const items = [];
+        while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+            const atom = parseAtom();
+            const q = parseQuantifier();
+            items.push({ atom, min: q.min, max: q.max });
+        }
+        items.source = source.slice(start, pos);
+        return items;
+    }
+
+    function parseAlternation() {
+        const branches = [parseSequence()];
+        while (source[pos] === '|') {
+            pos++;
+            branches.push(parseSequence());
+        }
+        return branches;
+    }
+
+    const branches = parseAlternation();
+    if (pos !== source.length) fail('unbalanced parenthesis');
+    return branches;
+}
+
+function setProbability(set, position, report) {
+    if (position >= ADDRESS_LENGTH) {
+        report.impossible(TOO_LONG);
+        return 0;
+    }
+    const possible = positionChars(position);
+    const hits = [...set.allowed].filter(c => possible.includes(c)).length;
+    if (hits === 0) {
+        if (set.allowed.size === 0 && set.foreign.length) {
+            report.impossible(`${neverAppear(set.foreign)} (only a-z and 2-7)`);
+        } else if (position === ADDRESS_LENGTH - 1) {
+            report.impossible(`the last character of every v3 address is 'd' (version byte)`);
+        } else if (position === ADDRESS_LENGTH - 2) {
+            report.impossible(`the second to last character of every v3 address is one of 'a', 'i', 'q', 'y'`);
+        } else {
+            report.impossible('a character class matches no address characters');
+        }
+        return 0;
+    }
+    return hits / possible.length;
+}
+
+// Probability that `items` match starting at the fixed `offset`; length is null when it varies
+function sequenceProbability(items, offset, report) {
+    let probability = 1;
+    let position = offset;
+    let variable = false;
+
+    for (let i = 0; i < items.length; i++) {
+        const { atom, min, max } = items[i];
+
+        if (atom.type === 'start' || atom.type === 'end') {
+            throw new UnsupportedPattern('anchors inside groups are not supported by the analyzer');
+        }
+
+        if (atom.type === 'set') {
+            if (atom.foreign.length && atom.allowed.size) {
+                report.warn(`${neverAppear(atom.foreign)} and ${atom.foreign.length === 1 ? 'is' : 'are'} ignored`);
+            } else if (atom.foreign.length && min === 0) {
+                report.warn(`${neverAppear(atom.foreign)}, so that part never matches`);
+            }
+
+            if (variable) {
+                if (min > 0 && atom.allowed.size === 0) return { probability: report.impossible(`${neverAppear(atom.foreign)} (only a-z and 2-7)`), length: null };
+                if (atom.allowed.size < ADDRESS_ALPHABET.length) report.approximate();
+                probability *= Math.pow(atom.allowed.size / ADDRESS_ALPHABET.length, min);
+                continue;
+            }
+
+            if (position + min > ADDRESS_LENGTH) {
+                return { probability: report.impossible(TOO_LONG), length: null };
+            }
+            for (let k = 0; k < min; k++) {
+                probability *= setProbability(atom, position + k, report);
+                if (probability === 0) return { probability: 0, length: null };
+            }
+            position += min;
+            if (max !== min) variable = true;
+            continue;
+        }
+
+        if (min !== 1 || max !== 1) {
+            throw new UnsupportedPattern('quantified groups are not supported by the analyzer');
+        }
+        if (variable) {
+            throw new UnsupportedPattern('groups after a variable-length part are not supported by the analyzer');
+        }
+
+        let groupProbability = 0;
+        const lengths = new Set();
+        let dead = 0;
+        for (const branch of atom.branches) {
+            const branchReport = childReport(report);
+            const result = sequenceProbability(branch, position, branchReport);
+            if (result.probability === 0) {
+                dead++;
+                report.warn(`Alternative "${branch.source}" can never match: ${branchReport.reasons[0]}`);
+            }
+            groupProbability += result.probability;
+            lengths.add(result.length);
+        }
+        if (dead === atom.branches.length) {
+            return { probability: report.impossible('none of the alternatives can ever match'), length: null };
+        }
+        probability *= Math.min(groupProbability, 1);
+        if (lengths.size === 1 && !lengths.has(null)) {
+            position += [...lengths][0];
+        } else {
+            variable = true;
+        }
+    }
+
+    return { probability, length: variable ? null : position - offset };
+}
+
+function childReport(parent) {
+    const child = {
+        reasons: [],
+        impossible(reason) {
+            child.reasons.push(reason);
+            return 0;
+        },
+        warn: parent.warn,
+        approximate: parent.approximate
+    };
+    return child;
+}
+
+function minLength(items) {
+    return items.reduce((n, { atom, min }) => {
+        if (atom.type === 'set') return n + min;
+        if (atom.type === 'group') return n + min * Math.min(...atom.branches.map(minLength));
+        return n;
+    }, 0);
+}
+
+function analyzeBranch(items, report) {
+    if (!items.length || items[0].atom.type !== 'start') {
+        throw new UnsupportedPattern('only patterns anchored with ^ can be estimated');
+    }
+    if (minLength(items) > ADDRESS_LENGTH) return report.impossible(TOO_LONG);
+    let body = items.slice(1);
+    let endAnchored = false;
+    if (body.length && body[body.length - 1].atom.type === 'end') {
+        endAnchored = true;
+        body = body.slice(0, -1);
+    }
+
+    // Fixed-width characters right before $ sit at known positions from the end of the address
+    let suffixProbability = 1;
+    let suffixLength = 0;
+    if (endAnchored) {
+        let i = body.length;
+        while (i > 0 && body[i - 1].atom.type === 'set' && body[i - 1].min === body[i - 1].max) i--;
+        const suffix = body.slice(i);
+        const prefix = body.slice(0, i);
+        const prefixResult = prefix.length ? sequenceProbability(prefix, 0, childReport(report)) : { length: 0 };
+        if (prefixResult.length === null) {
+            suffixLength = suffix.reduce((n, item) => n + item.min, 0);
+            let position = ADDRESS_LENGTH - suffixLength;
+            if (position < 0) return report.impossible(TOO_LONG);
+            for (const item of suffix) {
+                for (let k = 0; k < item.min; k++) {
+                    suffixProbability *= setProbability(item.atom, position++, report);
+                    if (suffixProbability === 0) return 0;
+                }
+            }
+            body = prefix;
+        }
+    }
+
+    const { probability, length } = sequenceProbability(body, 0, report);
+    if (probability === 0) return 0;
+    if (endAnchored && length !== null && length !== ADDRESS_LENGTH) {
+        return report.impossible(`the pattern is anchored with ^ and $ but matches ${length} characters, v3 addresses have ${ADDRESS_LENGTH}`);
+    }
+    if (length === null && suffixLength === 0 && endAnchored) report.approximate();
+    if (suffixLength) report.approximate();
+    return probability * suffixProbability;
+}
+
+/**
+ * Lints a regex pattern against the shape of v3 onion addresses and, for common shapes (literal
+ * prefixes, character classes, alternations), estimates the expected attempts per match.
+ * `errors` means the pattern can never match; `expectedAttempts` is null when it can't be estimated.
+ */
+function analyzePattern(pattern) {
+    const result = {
+        pattern,
+        errors: [],
+        warnings: [],
+        probability: null,
+        expectedAttempts: null,
+        approximate: false
+    };
+
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        result.errors.push(`Invalid regex pattern: ${error.message}`);
+        return result;
+    }
+
+    const report = {
+        reasons: [],
+        impossible(reason) {
+            report.reasons.push(reason);
+            return 0;
+        },
+        warn(message) {
+            if (!result.warnings.includes(message)) result.warnings.push(message);
+        },
+        approximate() {
+            result.approximate = true;
+        }
+    };
+
+    let branches;
+    try {
+        branches = parsePattern(pattern);
+    } catch (error) {
+        if (!(error instanceof UnsupportedPattern)) throw error;
+        result.warnings.push(`Cannot estimate difficulty: ${error.message}`);
+        return result;
+    }
+
+    try {
+        let probability = 0;
+        let dead = 0;
+        for (const branch of branches) {
+            const branchReport = childReport(report);
+            const p = analyzeBranch(branch, branchReport);
+            if (p === 0) {
+                dead++;
+                if (branches.length > 1) {
+                    result.warnings.push(`Alternative "${branch.source}" can never match: ${branchReport.reasons[0]}`);
+                } else {
+                    result.errors.push(`Pattern can never match: ${branchReport.reasons[0]}`);
+                }
+            }
+            probability += p;
+        }
+        if (branches.length > 1 && dead === branches.length) {
+            result.errors.push('Pattern can never match: none of the alternatives can ever match');
+        }
+        if (!result.errors.length) {
+            result.probability = Math.min(probability, 1);
+            result.expectedAttempts = 1 / result.probability;
+        }
+    } catch (error) {
+        if (!(error instanceof UnsupportedPattern)) throw error;
+        result.warnings.push(`Cannot estimate difficulty: ${error.message}`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    ADDRESS_ALPHABET,
+    ADDRESS_LENGTH,
+    analyzePattern
+};
@@ -0,0 +1,52 @@
+/**
+ * The regexes a worker tests each candidate against. A pattern whose quota is met is retired,
+ * so later candidates are only offered to the patterns that still need matches. `accept`, a
+ * custom matcher's predicate, gets the last word on every candidate a regex matched.
+ */
+function createPatternSet(regexes, accept = null) {
+    let active = regexes.map((_, index) => index);
+
+    return {
+        regexes,
+        active() {
+            return active;
+        },
+        retire(index) {
+            active = active.filter(i => i !== index);
+        },
+        // A key can only be used once, so a candidate counts for the first active pattern it matches
+        firstMatch(onionAddress, publicKey) {
+            for (const index of active) {
+                if (regexes[index].test(onionAddress)) return !accept || accept(onionAddress, publicKey) ? index : -1;
+            }
+            return -1;
+        }
+    };
+}
+
+// Engines take the regexes to build a set from, or any object with the same interface
+function toPatternSet(matcher) {
+    return Array.isArray(matcher) ? createPatternSet(matcher) : matcher;
+}
+
+// Reads `pattern count` lines; blank lines and lines starting with # are ignored
+function parsePatternsFile(text) {
+    const patterns = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const m = /^(\S+)\s+(\S+)$/.exec(trimmed);
+        const count = m ? Number(m[2]) : NaN;
+        if (!m || !Number.isInteger(count) || count <= 0) {
+            throw new Error(`Line ${i + 1}: expected "<pattern> <count>" with a positive integer count`);
+        }
+        patterns.push({ pattern: m[1], count });
+    });
+    return patterns;
+}
+
+module.exports = {
+    createPatternSet,
+    toPatternSet,
+    parsePatternsFile
+};
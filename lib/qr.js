@@ -0,0 +1,250 @@
+// A small QR code encoder (ISO/IEC 18004) for the paper backup, so nothing leaves the machine.
+// Byte mode only, versions 1 to 6, which is plenty for a 64-character seed.
+
+const ECC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Per version and level: EC codewords per block, then [block count, data codewords per block] groups
+const BLOCKS = {
+    L: [[7, [1, 19]], [10, [1, 34]], [15, [1, 55]], [20, [1, 80]], [26, [1, 108]], [18, [2, 68]]],
+    M: [[10, [1, 16]], [16, [1, 28]], [26, [1, 44]], [18, [2, 32]], [24, [2, 43]], [16, [4, 27]]],
+    Q: [[13, [1, 13]], [22, [1, 22]], [18, [2, 17]], [26, [2, 24]], [18, [2, 15], [2, 16]], [24, [4, 19]]],
+    H: [[17, [1, 9]], [28, [1, 16]], [22, [2, 13]], [16, [4, 9]], [22, [2, 11], [2, 12]], [28, [4, 15]]]
+};
+const ALIGNMENT = [[], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34]];
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const gfMul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+function reedSolomon(data, ecLength) {
+    let generator = [1];
+    for (let i = 0; i < ecLength; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coef, j) => {
+            next[j] ^= coef;
+            next[j + 1] ^= gfMul(coef, EXP[i]);
+        });
+        generator = next;
+    }
+    const remainder = new Array(ecLength).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        for (let j = 0; j < ecLength; j++) remainder[j] ^= gfMul(generator[j + 1], factor);
+    }
+    return remainder;
+}
+
+function blockLayout(version, level) {
+    const [ecLength, ...groups] = BLOCKS[level][version - 1];
+    const sizes = groups.flatMap(([count, size]) => new Array(count).fill(size));
+    return { ecLength, sizes, capacity: sizes.reduce((n, size) => n + size, 0) };
+}
+
+function dataCodewords(bytes, capacity) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, 8);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    while (bits.length % 8) bits.push(0);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) codewords.push(pad);
+    return codewords;
+}
+
+// Data and EC codewords of all blocks, interleaved column by column
+function interleave(codewords, { ecLength, sizes }) {
+    const blocks = [];
+    let offset = 0;
+    for (const size of sizes) {
+        const data = codewords.slice(offset, offset + size);
+        blocks.push({ data, ec: reedSolomon(data, ecLength) });
+        offset += size;
+    }
+    const out = [];
+    for (let i = 0; i < Math.max(...sizes); i++) blocks.forEach(block => i < block.data.length && out.push(block.data[i]));
+    for (let i = 0; i < ecLength; i++) blocks.forEach(block => out.push(block.ec[i]));
+    return out;
+}
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function formatBits(level, mask) {
+    const data = (ECC_LEVELS[level] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    return ((data << 10) | rem) ^ 0x5412;
+}
+
+function buildMatrix(version, level, codewords, mask) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+    const centers = ALIGNMENT[version - 1];
+    centers.forEach((cy, i) => centers.forEach((cx, j) => {
+        const last = centers.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    const drawFormat = bits => {
+        const bit = i => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    };
+    drawFormat(0);
+
+    // Two-module columns, right to left, snaking up and down and skipping the timing column
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < size; vert++) {
+            const y = upward ? size - 1 - vert : vert;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (reserved[y][x]) continue;
+                const byte = codewords[bitIndex >>> 3];
+                const dark = byte !== undefined && ((byte >>> (7 - (bitIndex & 7))) & 1) === 1;
+                modules[y][x] = dark !== MASKS[mask](x, y);
+                bitIndex++;
+            }
+        }
+    }
+    drawFormat(formatBits(level, mask));
+    return modules;
+}
+
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        for (const pattern of ['10111010000', '00001011101']) {
+            for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+        }
+    }
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const c = modules[y][x];
+                if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+            }
+        }
+    }
+    return score + 10 * Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5);
+}
+
+/**
+ * Encodes `text` (UTF-8) in the smallest version that holds it and returns the module matrix
+ * as rows of booleans, true for dark. Throws when the text does not fit in version 6.
+ */
+function encodeQR(text, level = 'M') {
+    if (!BLOCKS[level]) throw new Error(`Unknown QR error correction level "${level}"`);
+    const bytes = [...Buffer.from(text, 'utf8')];
+    let version = 1;
+    while (version <= BLOCKS[level].length && blockLayout(version, level).capacity < bytes.length + 2) version++;
+    if (version > BLOCKS[level].length) throw new Error(`${bytes.length} bytes do not fit in a version ${BLOCKS[level].length}-${level} QR code`);
+
+    const layout = blockLayout(version, level);
+    const codewords = interleave(dataCodewords(bytes, layout.capacity), layout);
+    let best = null;
+    MASKS.forEach((_, mask) => {
+        const modules = buildMatrix(version, level, codewords, mask);
+        const score = penalty(modules);
+        if (!best || score < best.score) best = { modules, score };
+    });
+    return best.modules;
+}
+
+// Two modules per character with half blocks, dark as ink, inside the 4-module quiet zone
+function renderQR(modules) {
+    const quiet = 4;
+    const size = modules.length + quiet * 2;
+    const dark = (x, y) => {
+        const row = modules[y - quiet];
+        return Boolean(row && row[x - quiet]);
+    };
+    const lines = [];
+    for (let y = 0; y < size; y += 2) {
+        let line = '';
+        for (let x = 0; x < size; x++) {
+            const top = dark(x, y);
+            const bottom = dark(x, y + 1);
+            line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+        }
+        lines.push(line.replace(/\s+$/, ''));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    encodeQR,
+    renderQR
+};
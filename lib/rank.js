@@ -0,0 +1,182 @@
+const { EventEmitter } = require('events');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { ENGINES } = require('./engines');
+const { checkBudgets, setLongTimeout, clearLongTimeout, fromTransferred } = require('./generate');
+const { createScorer } = require('./scoring');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+const DEFAULT_KEEP = 10;
+
+/**
+ * Searches for the `keep` most readable addresses on `workers` worker threads. Every candidate is
+ * scored by the dictionary words in it (see createScorer(); `words` defaults to the BIP39 English
+ * words, `mode` is 'anywhere' or 'start') and the best ones are kept on a leaderboard. Unlike
+ * generate() there is no count to reach: the run ends on `maxTime`, `maxAttempts`, stop() or
+ * `signal`, and the leaderboard at that point is the result.
+ *
+ * The returned EventEmitter emits 'entry' when a candidate makes the leaderboard (keys as
+ * Buffers), 'stats', 'workerError' and a final 'end' whose summary holds the leaderboard. The keys
+ * of an entry that drops off the leaderboard are zeroed, so copy them if you need them longer.
+ */
+function rank(options = {}) {
+    const {
+        keep = DEFAULT_KEEP,
+        words,
+        mode = 'anywhere',
+        workers = os.cpus().length,
+        engine = 'incremental',
+        maxTime = Infinity,
+        maxAttempts = Infinity,
+        signal
+    } = options;
+    if (!Number.isInteger(keep) || keep <= 0) {
+        throw new Error('keep must be a positive integer');
+    }
+    checkBudgets(options);
+    if (!Number.isInteger(workers) || workers <= 0) {
+        throw new Error('workers must be a positive integer');
+    }
+    if (!ENGINES.includes(engine)) {
+        throw new Error(`Unknown engine "${engine}" (expected one of: ${ENGINES.join(', ')})`);
+    }
+    const scorer = createScorer({ words, mode });
+
+    const search = new EventEmitter();
+    const startTime = Date.now();
+    const threads = [];
+    const workerAttempts = new Array(workers).fill(0);
+    // Best first; an entry only overtakes one with a higher score, so earlier finds win ties
+    const board = [];
+    let threshold = 0;
+    let totalAttempts = 0;
+    let exitedCount = 0;
+    let stopped = false;
+    let timeBudget;
+
+    function leaderboard() {
+        return board.map((entry, i) => ({ ...entry, rank: i + 1 }));
+    }
+
+    function summary(reason) {
+        return {
+            reason,
+            mode,
+            keep,
+            leaderboard: leaderboard(),
+            attempts: totalAttempts,
+            workerAttempts: workerAttempts.slice(),
+            elapsed: Date.now() - startTime
+        };
+    }
+
+    function onAbort() {
+        stop('aborted');
+    }
+
+    function stop(reason) {
+        if (stopped) return;
+        stopped = true;
+        clearLongTimeout(timeBudget);
+        threads.forEach(w => w.terminate());
+        if (signal) signal.removeEventListener('abort', onAbort);
+        search.emit('end', summary(reason));
+    }
+
+    function wipe(entry) {
+        entry.seed.fill(0);
+        entry.expandedSecretKey.fill(0);
+    }
+
+    // Inserts the candidate if it makes the board and returns its rank, or 0
+    function place(entry) {
+        if (board.some(e => e.onionAddress === entry.onionAddress)) return 0;
+        let i = board.length;
+        while (i > 0 && board[i - 1].score < entry.score) i--;
+        if (i >= keep) return 0;
+        board.splice(i, 0, entry);
+        if (board.length > keep) wipe(board.pop());
+        if (board.length === keep && board[keep - 1].score > threshold) {
+            // Workers stop reporting candidates that could no longer make the board
+            threshold = board[keep - 1].score;
+            threads.forEach(w => w.postMessage({ type: 'threshold', score: threshold }));
+        }
+        return i + 1;
+    }
+
+    function onMessage(data) {
+        if (data.type === 'match' && stopped) {
+            data.secretKey.fill(0);
+            data.seed.fill(0);
+        }
+        if (stopped) return;
+        if (data.type === 'match') {
+            totalAttempts += data.attempts;
+            workerAttempts[data.workerId] += data.attempts;
+
+            const entry = {
+                score: data.score,
+                words: scorer.explain(data.onionAddress).words.map(w => w.word),
+                onionAddress: data.onionAddress,
+                publicKey: Buffer.from(data.publicKey, 'base64'),
+                seed: fromTransferred(data.seed),
+                expandedSecretKey: fromTransferred(data.secretKey),
+                attempts: totalAttempts,
+                workerId: data.workerId
+            };
+            const position = place(entry);
+            if (position) search.emit('entry', { ...entry, rank: position });
+            else wipe(entry);
+
+            if (totalAttempts >= maxAttempts) stop('max-attempts');
+        } else if (data.type === 'stats') {
+            workerAttempts[data.workerId] += data.attempts;
+            totalAttempts += data.attempts;
+            search.emit('stats', { attempts: data.attempts, workerId: data.workerId });
+            if (totalAttempts >= maxAttempts) stop('max-attempts');
+        } else if (data.type === 'error') {
+            search.emit('workerError', { workerId: data.workerId, error: new Error(data.error), fatal: false });
+        }
+    }
+
+    for (let i = 0; i < workers; i++) {
+        const worker = new Worker(WORKER_SCRIPT, {
+            workerData: {
+                scoring: { words, mode, keep },
+                engine,
+                workerId: i
+            }
+        });
+
+        worker.on('message', onMessage);
+        worker.on('error', error => {
+            if (!stopped) search.emit('workerError', { workerId: i, error, fatal: true });
+        });
+        worker.on('exit', () => {
+            exitedCount++;
+            if (exitedCount === workers) stop('workers-exited');
+        });
+
+        threads.push(worker);
+    }
+
+    if (maxTime !== Infinity) {
+        timeBudget = setLongTimeout(() => stop('max-time'), maxTime);
+    }
+
+    if (signal) {
+        if (signal.aborted) process.nextTick(onAbort);
+        else signal.addEventListener('abort', onAbort);
+    }
+
+    search.stop = () => stop('stopped');
+    search.leaderboard = leaderboard;
+    search.stats = () => summary(stopped ? 'ended' : 'running');
+    return search;
+}
+
+module.exports = {
+    DEFAULT_KEEP,
+    rank
+};
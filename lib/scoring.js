@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCORE_MODES = ['anywhere', 'start'];
+const DEFAULT_WORDLIST = path.join(__dirname, 'bip39-english.txt');
+// Shorter dictionary words turn up in nearly every address and would only add noise
+const DEFAULT_MIN_LENGTH = 4;
+
+// Reads `word [weight]` lines; blank lines and lines starting with # are ignored
+function parseWordList(text) {
+    const words = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const m = /^(\S+)(?:\s+(\S+))?$/.exec(trimmed);
+        const word = m ? m[1].toLowerCase() : '';
+        const weight = m && m[2] !== undefined ? Number(m[2]) : 1;
+        if (!m || !/^[a-z2-7]+$/.test(word)) {
+            throw new Error(`Line ${i + 1}: expected "<word> [weight]" with a word of a-z and 2-7 only`);
+        }
+        if (!(weight > 0) || !isFinite(weight)) throw new Error(`Line ${i + 1}: weight must be a positive number`);
+        words.push({ word, weight });
+    });
+    if (words.length === 0) throw new Error('The word list is empty');
+    return words;
+}
+
+// The BIP39 English words of DEFAULT_MIN_LENGTH letters or more, all with weight 1
+function defaultWords() {
+    return fs.readFileSync(DEFAULT_WORDLIST, 'utf8').split('\n')
+        .filter(word => word.length >= DEFAULT_MIN_LENGTH)
+        .map(word => ({ word, weight: 1 }));
+}
+
+/**
+ * Scores addresses by the dictionary words in them. A word of length n and weight w is worth
+ * w·n², so one long word beats several short ones. In 'start' mode only an unbroken chain of
+ * words from the first character counts; in 'anywhere' mode the best set of non-overlapping
+ * words anywhere in the address does.
+ */
+function createScorer({ words = defaultWords(), mode = 'anywhere' } = {}) {
+    if (!SCORE_MODES.includes(mode)) {
+        throw new Error(`Unknown score mode "${mode}" (expected one of: ${SCORE_MODES.join(', ')})`);
+    }
+    const root = {};
+    for (const { word, weight } of words) {
+        let node = root;
+        for (const c of word) node = node[c] || (node[c] = {});
+        node.value = Math.max(node.value || 0, weight * word.length * word.length);
+    }
+
+    // Calls visit(end, value) for every word that starts at `start`
+    function wordsAt(address, start, visit) {
+        let node = root;
+        for (let i = start; i < address.length; i++) {
+            node = node[address[i]];
+            if (!node) return;
+            if (node.value) visit(i + 1, node.value);
+        }
+    }
+
+    // best[i] is the score of address[i..] (anywhere) or of a chain covering address[..i] (start)
+    function table(address) {
+        const n = address.length;
+        if (mode === 'start') {
+            const best = new Array(n + 1).fill(-1);
+            const from = new Array(n + 1).fill(-1);
+            best[0] = 0;
+            for (let i = 0; i < n; i++) {
+                if (best[i] < 0) continue;
+                wordsAt(address, i, (end, value) => {
+                    if (best[i] + value > best[end]) {
+                        best[end] = best[i] + value;
+                        from[end] = i;
+                    }
+                });
+            }
+            return { best, from };
+        }
+        const best = new Array(n + 1).fill(0);
+        const to = new Array(n + 1).fill(-1);
+        for (let i = n - 1; i >= 0; i--) {
+            best[i] = best[i + 1];
+            wordsAt(address, i, (end, value) => {
+                if (value + best[end] > best[i]) {
+                    best[i] = value + best[end];
+                    to[i] = end;
+                }
+            });
+        }
+        return { best, to };
+    }
+
+    function score(address) {
+        const { best } = table(address);
+        return mode === 'start' ? Math.max(...best) : best[0];
+    }
+
+    // The score together with the words that make it up, in address order
+    function explain(address) {
+        const { best, from, to } = table(address);
+        const found = [];
+        if (mode === 'start') {
+            let end = best.indexOf(Math.max(...best));
+            while (end > 0) {
+                found.unshift({ word: address.slice(from[end], end), index: from[end] });
+                end = from[end];
+            }
+            return { score: Math.max(...best), words: found };
+        }
+        for (let i = 0; i < address.length;) {
+            if (to[i] === -1) {
+                i++;
+                continue;
+            }
+            found.push({ word: address.slice(i, to[i]), index: i });
+            i = to[i];
+        }
+        return { score: best[0], words: found };
+    }
+
+    return { mode, score, explain };
+}
+
+/**
+ * Stands in for a pattern set in the search engines: a candidate "matches" when its score could
+ * still make the top `keep`. The bar is this worker's own k-th best score so far, raised further
+ * by the main thread's leaderboard through setThreshold().
+ */
+function createRankMatcher(scorer, keep) {
+    const best = [];
+    let threshold = 0;
+
+    return {
+        active() {
+            return [0];
+        },
+        retire() {},
+        setThreshold(score) {
+            threshold = Math.max(threshold, score);
+        },
+        firstMatch(onionAddress) {
+            const score = scorer.score(onionAddress);
+            if (score <= threshold) return -1;
+            let i = best.length;
+            while (i > 0 && best[i - 1] < score) i--;
+            best.splice(i, 0, score);
+            if (best.length > keep) best.pop();
+            if (best.length === keep) threshold = Math.max(threshold, best[keep - 1]);
+            return 0;
+        }
+    };
+}
+
+module.exports = {
+    SCORE_MODES,
+    parseWordList,
+    defaultWords,
+    createScorer,
+    createRankMatcher
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { ORDER, packPoint, scalarBase, scalarToBytes, scalarFromBytes } = require('./ed25519');
+const { onionAddressFromPublicKey } = require('./onion');
+const { inspectOnionAddress } = require('./inspect');
+
+const SIGNATURE_VERSION = 1;
+// Signed bytes are this context, a NUL byte and the message, so a signature cannot pass for one tor makes
+const SIGNATURE_CONTEXT = 'oniongen-signed-message-v1';
+const ARMOR_BEGIN = '-----BEGIN ONION SIGNATURE-----';
+const ARMOR_END = '-----END ONION SIGNATURE-----';
+
+function signedData(message) {
+    return Buffer.concat([Buffer.from(`${SIGNATURE_CONTEXT}\0`), Buffer.from(message)]);
+}
+
+function sha512ModL(...parts) {
+    const hash = crypto.createHash('sha512');
+    parts.forEach(part => hash.update(part));
+    return scalarFromBytes(hash.digest()) % ORDER;
+}
+
+/**
+ * RFC 8032 Ed25519 signature made with an expanded secret key (scalar ‖ prefix), which is all a
+ * HiddenServiceDir keeps. For a key expanded from a seed this is the signature the seed makes.
+ */
+function signWithExpandedKey(data, expandedSecretKey) {
+    const scalar = expandedSecretKey.subarray(0, 32);
+    const publicKey = Buffer.from(packPoint(scalarBase(scalar)));
+    const r = sha512ModL(expandedSecretKey.subarray(32, 64), data);
+    const R = Buffer.from(packPoint(scalarBase(scalarToBytes(r))));
+    const k = sha512ModL(R, publicKey, data);
+    const s = (r + k * scalarFromBytes(scalar)) % ORDER;
+    return Buffer.concat([R, scalarToBytes(s)]);
+}
+
+function verifyWithPublicKey(data, signature, publicKey) {
+    try {
+        const key = crypto.createPublicKey({
+            key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey).toString('base64url') },
+            format: 'jwk'
+        });
+        return crypto.verify(null, data, key, signature);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Signs `message` (string or Buffer) with an onion service's identity key and returns the
+ * signature in armored text form. Throws if the expanded key does not belong to `onionAddress`.
+ */
+function signMessage(message, { onionAddress, expandedSecretKey }) {
+    const publicKey = Buffer.from(packPoint(scalarBase(expandedSecretKey.subarray(0, 32))));
+    const address = onionAddressFromPublicKey(publicKey);
+    if (onionAddress && address !== onionAddress.toLowerCase().replace(/\.onion$/, '')) {
+        throw new Error(`The secret key does not belong to ${onionAddress}`);
+    }
+    const signature = signWithExpandedKey(signedData(message), expandedSecretKey);
+    return [
+        ARMOR_BEGIN,
+        `Version: ${SIGNATURE_VERSION}`,
+        `Onion-Address: ${address}.onion`,
+        `Context: ${SIGNATURE_CONTEXT}`,
+        '',
+        signature.toString('base64'),
+        ARMOR_END,
+        ''
+    ].join('\n');
+}
+
+function parseSignature(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim());
+    const begin = lines.indexOf(ARMOR_BEGIN);
+    const end = lines.indexOf(ARMOR_END, begin + 1);
+    if (begin === -1 || end === -1) {
+        throw new Error(`Not an armored signature (expected ${ARMOR_BEGIN} ... ${ARMOR_END})`);
+    }
+
+    const headers = {};
+    let i = begin + 1;
+    for (; i < end && lines[i] !== ''; i++) {
+        const m = /^([A-Za-z-]+):\s*(.*)$/.exec(lines[i]);
+        if (!m) throw new Error(`Malformed signature header "${lines[i]}"`);
+        headers[m[1].toLowerCase()] = m[2];
+    }
+    if (headers.version !== String(SIGNATURE_VERSION)) {
+        throw new Error(`Unsupported signature version "${headers.version}" (expected ${SIGNATURE_VERSION})`);
+    }
+    if (headers.context !== SIGNATURE_CONTEXT) {
+        throw new Error(`Unsupported signature context "${headers.context}" (expected ${SIGNATURE_CONTEXT})`);
+    }
+
+    const body = lines.slice(i + 1, end).join('');
+    const signature = Buffer.from(body, 'base64');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(body) || signature.length !== 64) {
+        throw new Error('The signature must be 64 bytes of base64');
+    }
+    return {
+        version: SIGNATURE_VERSION,
+        onionAddress: (headers['onion-address'] || '').toLowerCase().replace(/\.onion$/, ''),
+        context: headers.context,
+        signature
+    };
+}
+
+/**
+ * Checks an armored signature of `message` against the public key inside `onionAddress`, so
+ * nothing but the address has to be trusted. Throws on a malformed address or signature,
+ * otherwise returns a report in the shape of verify()'s.
+ */
+function verifyMessage(onionAddress, message, armored) {
+    const info = inspectOnionAddress(onionAddress);
+    if (!info.ok) throw new Error(`${onionAddress} is not a valid onion address: ${info.errors[0]}`);
+    const { onionAddress: signedBy, signature } = parseSignature(armored);
+
+    const checks = [
+        { name: 'Signature', result: verifyWithPublicKey(signedData(message), signature, Buffer.from(info.publicKey, 'hex')) },
+        { name: 'Onion-Address Header', result: signedBy === info.onionAddress }
+    ];
+    return {
+        onionAddress: info.onionAddress,
+        publicKey: info.publicKey,
+        signedBy,
+        signature: signature.toString('base64'),
+        checks,
+        ok: checks.every(check => check.result)
+    };
+}
+
+module.exports = {
+    SIGNATURE_VERSION,
+    SIGNATURE_CONTEXT,
+    signedData,
+    signWithExpandedKey,
+    verifyWithPublicKey,
+    signMessage,
+    parseSignature,
+    verifyMessage
+};
@@ -0,0 +1,93 @@
+const {
+    hexToBuffer,
+    calcOnionFromPub,
+    expandSecretKey,
+    derivePubFromSeedHex,
+    derivePubFromExpandedHex
+} = require('./onion');
+
+function normalizeHex(value) {
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    return (value || '').trim().toLowerCase();
+}
+
+function normalizeKeys({ onion, publicKey, seed, expandedSecretKey }) {
+    const keys = {
+        onionAddress: (onion || '').trim().toLowerCase().replace(/\.onion$/, ''),
+        publicKey: normalizeHex(publicKey),
+        seed: normalizeHex(seed),
+        expandedSecretKey: normalizeHex(expandedSecretKey)
+    };
+
+    if (!keys.onionAddress) {
+        throw new Error('Onion address is required');
+    }
+    if (!/^[a-z2-7]{56}$/.test(keys.onionAddress)) {
+        throw new Error('Invalid onion address (must be 56 base32 characters, a-z and 2-7).');
+    }
+    if (!keys.publicKey) {
+        throw new Error('Public key is required');
+    }
+    if (!/^[0-9a-f]{64}$/.test(keys.publicKey)) {
+        throw new Error('Public key must be 64 hex characters (32 bytes).');
+    }
+    if (keys.seed && !/^[0-9a-f]{64}$/.test(keys.seed)) {
+        throw new Error('Seed must be 64 hex characters (32 bytes).');
+    }
+    if (keys.expandedSecretKey && !/^[0-9a-f]{128}$/.test(keys.expandedSecretKey)) {
+        throw new Error('Expanded secret key must be 128 hex characters (64 bytes).');
+    }
+    return keys;
+}
+
+/**
+ * Checks that an onion address, public key, seed and expanded secret key belong together.
+ * Keys may be hex strings or Buffers; seed and expandedSecretKey are optional.
+ * Throws on malformed input, otherwise returns a report whose `ok` is true when every check passed.
+ */
+function verify(input) {
+    const keys = normalizeKeys(input);
+    const report = {
+        ...keys,
+        calculatedOnion: calcOnionFromPub(hexToBuffer(keys.publicKey)).replace(/\.onion$/, ''),
+        publicFromSeed: null,
+        expandedFromSeed: null,
+        publicFromExpanded: null,
+        checks: [],
+        ok: false
+    };
+
+    report.checks.push({
+        name: 'Onion ↔ Public Key',
+        result: report.calculatedOnion === keys.onionAddress
+    });
+
+    if (keys.seed) {
+        report.publicFromSeed = derivePubFromSeedHex(keys.seed);
+        report.expandedFromSeed = expandSecretKey(hexToBuffer(keys.seed)).toString('hex');
+        report.checks.push({
+            name: 'Seed ↔ Public Key',
+            result: report.publicFromSeed === keys.publicKey
+        });
+        report.checks.push({
+            name: 'Seed → Expanded Secret Key',
+            result: !keys.expandedSecretKey || report.expandedFromSeed === keys.expandedSecretKey
+        });
+    }
+
+    if (keys.expandedSecretKey) {
+        report.publicFromExpanded = derivePubFromExpandedHex(keys.expandedSecretKey);
+        report.checks.push({
+            name: 'Expanded Secret Key → Public Key',
+            result: report.publicFromExpanded === keys.publicKey
+        });
+    }
+
+    report.ok = report.checks.every(check => check.result);
+    return report;
+}
+
+module.exports = {
+    normalizeKeys,
+    verify
+};
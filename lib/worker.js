@@ -0,0 +1,115 @@
+const { isMainThread, parentPort, workerData, receiveMessageOnPort } = require('worker_threads');
+const { createEngine } = require('./engines');
+const { createPatternSet } = require('./patterns');
+const { loadMatcher, createPredicate } = require('./matcher');
+const { createScorer, createRankMatcher } = require('./scoring');
+
+const STATS_EVERY = 1000;
+const REPEAT_INTERVAL = 5000;
+
+// Hands key material to the main thread: a copy is transferred and the worker's buffer is zeroed
+function takeSecret(buffer, transfer) {
+    const copy = new Uint8Array(buffer);
+    buffer.fill(0);
+    transfer.push(copy.buffer);
+    return copy;
+}
+
+// Errors that repeat, such as a matcher that throws for every candidate, are posted at most once
+// per REPEAT_INTERVAL for each `key`, with the number of times they were held back
+function createErrorReporter(workerId) {
+    const last = new Map();
+    return (key, message) => {
+        const now = Date.now();
+        const entry = last.get(key);
+        if (entry && now - entry.time < REPEAT_INTERVAL) {
+            entry.held++;
+            return;
+        }
+        const repeated = entry && entry.held ? ` (and ${entry.held} more time(s) since the last report)` : '';
+        last.set(key, { time: now, held: 0 });
+        parentPort.postMessage({ type: 'error', error: message + repeated, workerId });
+    };
+}
+
+// A custom matcher's predicate, after its init() has run in this worker
+async function startMatcher({ file, name, options }, workerId) {
+    const matcher = loadMatcher(file);
+    try {
+        await matcher.init(options);
+    } catch (error) {
+        throw new Error(`Matcher ${name} failed to initialize: ${error.message}`);
+    }
+    return createPredicate(matcher, options, name, createErrorReporter(workerId));
+}
+
+async function workerMain() {
+    const { patterns, scoring, matcher: custom, engine: engineName = 'incremental', workerId } = workerData;
+    // In scoring mode a candidate is kept when it could make the leaderboard, not when it matches
+    const scorer = scoring ? createScorer(scoring) : null;
+    let matcher;
+    if (scorer) {
+        matcher = createRankMatcher(scorer, scoring.keep);
+    } else {
+        const regexes = patterns.map(({ source, flags }) => new RegExp(source, flags));
+        matcher = createPatternSet(regexes, custom ? await startMatcher(custom, workerId) : null);
+    }
+    const engine = createEngine(engineName, matcher);
+    // attempts made since the last message, so every attempt is reported exactly once
+    let unreported = 0;
+
+    while (true) {
+        // The loop never yields to the event loop, so control messages are polled between batches
+        let message;
+        while ((message = receiveMessageOnPort(parentPort))) {
+            if (message.message.type === 'retire') engine.retire(message.message.index);
+            if (message.message.type === 'threshold') matcher.setThreshold(message.message.score);
+        }
+
+        try {
+            const { attempts, matches } = engine.batch();
+            let counted = 0;
+
+            for (const match of matches) {
+                const transfer = [];
+                parentPort.postMessage({
+                    type: 'match',
+                    patternIndex: match.patternIndex,
+                    score: scorer ? scorer.score(match.onionAddress) : undefined,
+                    onionAddress: match.onionAddress,
+                    publicKey: match.publicKey.toString('base64'),
+                    secretKey: takeSecret(match.expandedSecretKey, transfer),
+                    seed: takeSecret(match.seed, transfer),
+                    attempts: unreported + match.offset - counted,
+                    workerId: workerId
+                }, transfer);
+                unreported = 0;
+                counted = match.offset;
+            }
+            unreported += attempts - counted;
+
+            if (unreported >= STATS_EVERY) {
+                parentPort.postMessage({
+                    type: 'stats',
+                    attempts: unreported,
+                    workerId: workerId
+                });
+                unreported = 0;
+            }
+        } catch (error) {
+            parentPort.postMessage({
+                type: 'error',
+                error: error.message,
+                workerId: workerId
+            });
+        }
+    }
+}
+
+if (!isMainThread) {
+    workerMain();
+}
+
+module.exports = {
+    workerMain
+};
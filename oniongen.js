@@ -1,337 +1,1127 @@
 #!/usr/bin/env node
 
-const crypto = require('crypto');
 const fs = require('fs');
-const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const os = require('os');
+const path = require('path');
+const { generate } = require('./lib/generate');
+const { rank } = require('./lib/rank');
+const { defaultWords, parseWordList } = require('./lib/scoring');
+const { DEFAULT_PORT, parseHostPort, coordinate, joinCoordinator } = require('./lib/distributed');
+const { createJobQueue } = require('./lib/jobs');
+const { serveJobs } = require('./lib/jobserver');
+const { ENGINES, benchmark } = require('./lib/engines');
+const { writeHiddenServiceDir } = require('./lib/hsdir');
+const { writeFileAtomic } = require('./lib/files');
+const { encryptKeys } = require('./lib/keyfile');
+const { parseTags, openKeystore } = require('./lib/keystore');
+const { PASSPHRASE_ENV, getPassphrase } = require('./lib/passphrase');
+const { analyzePattern } = require('./lib/pattern');
+const { parsePatternsFile } = require('./lib/patterns');
+const { loadMatcher } = require('./lib/matcher');
+const { createMonitor } = require('./lib/monitor');
+const { renderDashboard } = require('./lib/dashboard');
+const { serveMetrics } = require('./lib/metrics');
+const { parseOptions, parseDuration, formatDuration, parseCount } = require('./lib/cli');
 
-const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-const BASE32_PADDING = '=';
+const CALIBRATION_SECONDS = 0.5;
+const EXIT_BUDGET = 2;
+const TOKEN_ENV = 'ONIONGEN_TOKEN';
+const LEADERBOARD_FILE = 'leaderboard.json';
+const JOBS_FILE = 'jobs.json';
 
-function base32Encode(data) {
-    let bits = 0;
-    let value = 0;
-    let output = '';
+const OPTIONS = {
+    'patterns': { type: 'string' },
+    'workers': { type: 'string' },
+    'max-time': { type: 'string' },
+    'max-attempts': { type: 'string' },
+    'output-dir': { type: 'string', default: '.' },
+    'overwrite': { type: 'boolean', default: false },
+    'hs-dir': { type: 'boolean', default: false },
+    'json': { type: 'boolean', default: true },
+    'keystore': { type: 'string' },
+    'tags': { type: 'string' },
+    'note': { type: 'string' },
+    'engine': { type: 'string', default: 'incremental' },
+    'estimate': { type: 'boolean', default: true },
+    'benchmark': { type: 'boolean', default: false },
+    'format': { type: 'string', default: 'text' },
+    'include-secrets': { type: 'boolean', default: false },
+    'show-secrets': { type: 'boolean', default: false },
+    'encrypt': { type: 'boolean', default: false },
+    'passphrase-file': { type: 'string' },
+    'listen': { type: 'string' },
+    'connect': { type: 'string' },
+    'token': { type: 'string' },
+    'name': { type: 'string' },
+    'serve': { type: 'string' },
+    'best': { type: 'string' },
+    'words': { type: 'string' },
+    'score': { type: 'string' },
+    'matcher': { type: 'string' },
+    'matcher-options': { type: 'string' },
+    'dashboard': { type: 'boolean', default: false },
+    'metrics': { type: 'string' },
+    'quiet': { type: 'boolean', alias: 'q', default: false },
+    'help': { type: 'boolean', alias: 'h', default: false }
+};
 
-    for (let i = 0; i < data.length; i++) {
-        value = (value << 8) | data[i];
-        bits += 8;
+const USAGE = [
+    'Usage: node oniongen.js <regex> <number> [<regex> <number> ...] [options]',
+    '       node oniongen.js --patterns <file> [options]',
+    '       node oniongen.js --matcher <module> <number> [options]',
+    '       node oniongen.js --best <k> [--words <file>] [--score anywhere|start] [options]',
+    '       node oniongen.js --connect <host:port> [--workers <n>] [--engine <name>]',
+    '       node oniongen.js --serve <[host:]port> [options]',
+    '       node oniongen.js --benchmark [seconds]',
+    '',
+    '  regex                 regex pattern addresses should match (a-z, 2-7)',
+    '  number                number of matching addresses to generate for that pattern',
+    '',
+    'Options:',
+    '  --patterns <file>     file with one "<regex> <number>" per line',
+    '  --matcher <module>    JavaScript module every match must also pass; with only a',
+    '                        <number>, it decides alone',
+    '  --matcher-options <json>  options handed to the matcher in every worker',
+    '  --workers <n>         number of worker threads (default: number of CPU cores)',
+    '  --max-time <time>     stop after this long, e.g. 90, 45s, 30m, 2h, 1h30m',
+    '  --max-attempts <n>    stop after this many attempts, e.g. 1000000 or 1e9',
+    '  --output-dir <path>   directory for the generated files (default: current directory)',
+    '  --overwrite           replace existing key files (refused by default)',
+    '  --hs-dir              also write a Tor HiddenServiceDir named after each address',
+    '  --no-json             skip the <address>.json file (requires --hs-dir)',
+    '  --keystore <dir>      store the JSON key files in this keystore, indexed with their',
+    '                        pattern, instead of --output-dir (see onionkey store)',
+    '  --tags <a,b,...>      tags to record in the keystore for every match',
+    '  --note <text>         note to record in the keystore for every match',
+    `  --engine <name>       search engine: ${ENGINES.join(' or ')} (default: incremental)`,
+    '  --no-estimate         skip the difficulty estimate and rate calibration',
+    '  --format <format>     text (default) or ndjson: one JSON event per line on stdout,',
+    '                        with the human-readable output moved to stderr',
+    '  --show-secrets        print the seed and expanded secret key of each match',
+    '  --include-secrets     include seed and expanded secret key in ndjson match events',
+    '  -q, --quiet           no human-readable output',
+    '  --dashboard           live per-worker dashboard instead of the progress line',
+    '  --metrics <address>   serve Prometheus metrics at http://<address>/metrics;',
+    '                        [host:]port, host defaults to 127.0.0.1',
+    '  --encrypt             encrypt the seed and expanded secret key in the JSON file with',
+    `                        a passphrase (prompted for, or from $${PASSPHRASE_ENV})`,
+    '  --passphrase-file <f> read the --encrypt passphrase from the first line of a file',
+    '  --listen <address>    coordinate a search run by other machines instead of searching',
+    `                        locally; [host:]port, host defaults to 127.0.0.1, port to ${DEFAULT_PORT}`,
+    '  --connect <host:port> join a coordinator as a search node, using its patterns',
+    `  --token <secret>      shared secret nodes must present (default: $${TOKEN_ENV})`,
+    '  --name <name>         name this node reports to the coordinator (default: hostname)',
+    '  --serve <address>     run queued jobs submitted over HTTP at /jobs, one at a time;',
+    `                        [host:]port, host defaults to 127.0.0.1; jobs kept in ${JOBS_FILE}`,
+    '  --best <k>            keep the k most readable addresses instead of matching patterns,',
+    `                        until --max-time, --max-attempts or Ctrl+C; see ${LEADERBOARD_FILE}`,
+    '  --words <file>        "<word> [weight]" lines to score with (default: BIP39 English',
+    '                        words of 4 letters or more)',
+    '  --score <mode>        anywhere (default): words anywhere in the address count;',
+    '                        start: only a run of words from the first character counts',
+    '  --benchmark           compare the attempt rate of both engines on this machine',
+    '  -h, --help            show this help',
+    '',
+    'Exit status: 0 when all addresses were found or the run was interrupted,',
+    `${EXIT_BUDGET} when --max-time or --max-attempts ran out first, 1 on errors.`,
+    '',
+    'Example:',
+    '  node oniongen.js "^test" 5',
+    '  node oniongen.js "^hello[a-z]*" 10',
+    '  node oniongen.js "^alpha" 1 "^beta" 2 --workers 4 --max-time 2h --output-dir keys',
+    '  node oniongen.js "^hello" 3 --listen 7439 --token s3cret',
+    '  node oniongen.js --connect 127.0.0.1:7439 --token s3cret',
+    '  node oniongen.js --best 10 --max-time 1h --output-dir best',
+    '  node oniongen.js --serve 7440 --workers 8 --output-dir jobs --keystore keys'
+];
 
-        while (bits >= 5) {
-            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
-            bits -= 5;
+function parseArgs(argv) {
+    const { options, positional } = parseOptions(argv, OPTIONS);
+    return { ...options, positional };
+}
+
+// Human-readable output goes to stdout, or to stderr when stdout carries the NDJSON event stream
+function createOutput(args) {
+    const ndjson = args.format === 'ndjson';
+    const human = args.quiet ? null : (ndjson ? process.stderr : process.stdout);
+    // Lines of the live region (the dashboard) currently on screen, erased before anything else is written
+    let liveLines = 0;
+    const clearLive = () => {
+        if (liveLines) human.write(`\x1b[${liveLines}A\r\x1b[J`);
+        liveLines = 0;
+    };
+    return {
+        interactive: Boolean(human && human.isTTY),
+        log(line = '') {
+            if (!human) return;
+            clearLive();
+            human.write(line + '\n');
+        },
+        write(text) {
+            if (!human) return;
+            clearLive();
+            human.write(text);
+        },
+        // Redraws the live region; lines are cut to the terminal width so none of them wraps
+        live(lines) {
+            if (!human) return;
+            clearLive();
+            const width = human.columns ? human.columns - 1 : Infinity;
+            human.write(lines.map(line => line.slice(0, width)).join('\n') + '\n');
+            liveLines = lines.length;
+        },
+        clearLive() {
+            if (human) clearLive();
+        },
+        emit(event) {
+            if (ndjson) process.stdout.write(JSON.stringify({ time: new Date().toISOString(), ...event }) + '\n');
         }
+    };
+}
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+// Validates the run control options into the values generate() expects
+function readRunControl(args) {
+    const control = { workers: os.cpus().length, maxTime: Infinity, maxAttempts: Infinity };
+    if (args.workers !== undefined) control.workers = parseCount(args.workers, '--workers');
+    if (args.maxTime !== undefined) control.maxTime = parseDuration(args.maxTime);
+    if (args.maxAttempts !== undefined) control.maxAttempts = parseCount(args.maxAttempts, '--max-attempts');
+    return control;
+}
+
+function runBenchmark(seconds) {
+    if (isNaN(seconds) || seconds <= 0) {
+        console.error('Error: benchmark duration must be a positive number of seconds');
+        process.exit(1);
     }
 
-    if (bits > 0) {
-        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    console.log(`Benchmarking search engines for ${seconds}s each on one thread...`);
+    const results = benchmark({ seconds });
+    results.forEach(r => {
+        console.log(`  ${r.engine.padEnd(12)} ${Math.round(r.rate).toLocaleString('en-US')} attempts/sec`);
+    });
+
+    const incremental = results.find(r => r.engine === 'incremental');
+    const keygen = results.find(r => r.engine === 'keygen');
+    console.log(`Speedup: ${(incremental.rate / keygen.rate).toFixed(1)}x`);
+}
+
+// Without numWorkers (a coordinator has no local workers) only the difficulty is printed
+function printEstimate(targets, engine, numWorkers, out) {
+    const estimable = targets.filter(t => t.analysis.expectedAttempts !== null);
+    if (estimable.length === 0) {
+        out.log('Difficulty: unknown for this pattern shape');
+        return;
     }
 
-    while (output.length % 8 !== 0) {
-        output += BASE32_PADDING;
+    // Single-threaded calibration against all patterns, scaled by the worker count
+    let totalRate = null;
+    if (numWorkers) {
+        const [{ rate }] = benchmark({ patterns: targets.map(t => t.pattern), seconds: CALIBRATION_SECONDS, engines: [engine] });
+        totalRate = rate * numWorkers;
+        out.log(`Calibrated rate: ${Math.round(totalRate).toLocaleString('en-US')} attempts/sec`);
     }
 
-    return output.toLowerCase();
+    // Every candidate is offered to all patterns, so the run takes as long as its slowest pattern
+    let longest = 0;
+    targets.forEach(({ pattern, count, analysis }) => {
+        const label = targets.length > 1 ? `${pattern}: ` : '';
+        if (analysis.expectedAttempts === null) {
+            out.log(`${label}Difficulty: unknown for this pattern shape`);
+            return;
+        }
+        const approx = analysis.approximate ? '~' : '';
+        if (!totalRate) {
+            out.emit({ type: 'estimate', pattern, expectedAttempts: analysis.expectedAttempts, approximate: analysis.approximate });
+            out.log(`${label}Difficulty: ${approx}${Math.round(analysis.expectedAttempts).toLocaleString('en-US')} attempts per match`);
+            return;
+        }
+        const perMatch = analysis.expectedAttempts / totalRate * 1000;
+        longest = Math.max(longest, perMatch * count);
+        out.emit({
+            type: 'estimate',
+            pattern,
+            expectedAttempts: analysis.expectedAttempts,
+            approximate: analysis.approximate,
+            rate: totalRate,
+            secondsPerMatch: perMatch / 1000,
+            secondsTotal: perMatch * count / 1000
+        });
+        out.log(`${label}Difficulty: ${approx}${Math.round(analysis.expectedAttempts).toLocaleString('en-US')} attempts per match`);
+        out.log(`${label}Expected time: ${approx}${formatDuration(perMatch)} per match, ${approx}${formatDuration(perMatch * count)} for ${count}`);
+    });
+    if (totalRate && targets.length > 1 && estimable.length === targets.length) {
+        out.log(`Expected total time: ~${formatDuration(longest)}`);
+    }
 }
 
-function sha3_256(data) {
-    return crypto.createHash('sha3-256').update(data).digest();
+// The dashboard, metrics and custom matchers work on the workers of a local pattern search
+function checkLocalOptions(args, what) {
+    const given = [['dashboard', args.dashboard], ['metrics', args.metrics !== undefined], ['matcher', args.matcher !== undefined]];
+    const option = given.find(([, set]) => set);
+    if (option) fail(`--${option[0]} is only available for local pattern searches, not for ${what}`);
 }
 
-function generateOnionAddress() {
-    let rawPublicKey, rawPrivateKey;
-    
+// --matcher-options is JSON, handed to the matcher in every worker
+function readMatcherOptions(args) {
+    if (args.matcherOptions === undefined) return undefined;
+    if (args.matcher === undefined) throw new Error('--matcher-options requires --matcher');
     try {
-        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
-            publicKeyEncoding: { type: 'spki', format: 'pem' },
-            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
-        });
-        
-        const publicKeyObj = crypto.createPublicKey(publicKey);
-        const privateKeyObj = crypto.createPrivateKey(privateKey);
-        
-        rawPublicKey = publicKeyObj.export({ type: 'spki', format: 'der' });
-        rawPrivateKey = privateKeyObj.export({ type: 'pkcs8', format: 'der' });
-        
-        let pubOffset = -1;
-        for (let i = 0; i < rawPublicKey.length - 32; i++) {
-            if (rawPublicKey[i] === 0x03 && rawPublicKey[i + 1] === 0x21 && rawPublicKey[i + 2] === 0x00) {
-                pubOffset = i + 3;
-                break;
-            }
-        }
-        if (pubOffset === -1) {
-            rawPublicKey = rawPublicKey.slice(-32);
-        } else {
-            rawPublicKey = rawPublicKey.slice(pubOffset, pubOffset + 32);
-        }
-        
-        let seedOffset = -1;
-        for (let i = 0; i < rawPrivateKey.length - 33; i++) {
-            if (rawPrivateKey[i] === 0x04 && rawPrivateKey[i + 1] === 0x20) {
-                seedOffset = i + 2;
-                break;
-            }
-        }
-        if (seedOffset === -1) {
-            rawPrivateKey = rawPrivateKey.slice(-32);
-        } else {
-            rawPrivateKey = rawPrivateKey.slice(seedOffset, seedOffset + 32);
-        }
+        return JSON.parse(args.matcherOptions);
     } catch (error) {
-        throw new Error('Failed to generate Ed25519 keys: ' + error.message);
+        throw new Error(`--matcher-options is not valid JSON: ${error.message}`);
     }
+}
+
+function readToken(args) {
+    return args.token !== undefined ? args.token : (process.env[TOKEN_ENV] || null);
+}
 
-    const checksumBytes = Buffer.concat([
-        Buffer.from('.onion checksum'),
-        rawPublicKey,
-        Buffer.from([0x03])
-    ]);
-    const checksum = sha3_256(checksumBytes);
+// Search node mode: patterns, budgets and key files all stay with the coordinator
+function runNode(args) {
+    if (args.listen !== undefined) fail('--connect and --listen cannot be combined');
+    if (args.positional.length || args.patterns) fail('a search node gets its patterns from the coordinator');
+    checkLocalOptions(args, 'search nodes');
+    if (args.keystore !== undefined) fail('--keystore belongs on the coordinator, which saves the keys');
+    if (!ENGINES.includes(args.engine)) {
+        fail(`unknown engine "${args.engine}" (expected one of: ${ENGINES.join(', ')})`);
+    }
+
+    let node;
+    try {
+        const { workers } = readRunControl(args);
+        node = joinCoordinator({ connect: args.connect, token: readToken(args), name: args.name, workers, engine: args.engine });
+    } catch (error) {
+        fail(error.message);
+    }
 
-    const onionAddressBytes = Buffer.concat([
-        rawPublicKey,
-        checksum.slice(0, 2),
-        Buffer.from([0x03])
-    ]);
+    const out = createOutput(args);
+    const startTime = Date.now();
+    let statsInterval;
 
-    const onionAddress = base32Encode(onionAddressBytes);
+    node.on('connected', ({ host, port }) => {
+        out.log(`Connected to coordinator ${host}:${port}`);
+        out.emit({ type: 'connected', host, port });
+    });
+    node.on('job', ({ patterns }) => {
+        out.log(`Searching for: ${patterns.join(', ')} (engine: ${args.engine})`);
+        out.emit({ type: 'start', patterns, engine: args.engine });
+        statsInterval = setInterval(() => {
+            const elapsed = Date.now() - startTime;
+            const { attempts, found } = node.stats();
+            out.write(`\rAttempts: ${attempts.toLocaleString('en-US')} | `);
+            out.write(`Rate: ${(attempts / (elapsed / 1000)).toFixed(0)}/s | `);
+            out.write(`Sent: ${found} | Time: ${formatDuration(elapsed)}`);
+        }, 1000);
+    });
+    node.on('match', ({ pattern, onionAddress }) => {
+        out.log(`\nMatch for ${pattern} sent to the coordinator: ${onionAddress}.onion`);
+        out.emit({ type: 'match', pattern, onionAddress });
+    });
+    node.on('end', ({ reason, error, attempts, found }) => {
+        clearInterval(statsInterval);
+        out.emit({ type: 'summary', reason, attempts, found, elapsed: Date.now() - startTime });
+        if (reason === 'rejected') fail(`The coordinator refused this node: ${error.message}`);
+        if (reason === 'error') fail(error.message);
+        out.log('');
+        if (reason === 'disconnected') fail('Lost the connection to the coordinator');
+        out.log(reason === 'done' ? 'The coordinator ended the run' : 'Interrupted by user');
+        out.log(`Attempts: ${attempts.toLocaleString('en-US')} | Matches sent: ${found}`);
+        process.exit(0);
+    });
 
-    return { onionAddress, publicKey: rawPublicKey, privateKey: rawPrivateKey };
+    process.on('SIGINT', () => node.stop());
 }
 
-function expandSecretKey(seed) {
-    const hash = crypto.createHash('sha512').update(seed).digest();
-    
-    const expanded = Buffer.from(hash);
-    expanded[0] &= 248;
-    expanded[31] &= 127;
-    expanded[31] |= 64;
-    
-    return expanded;
+// The JSON key file contents for a match, encrypted when there is a passphrase
+function keyFileData(match, passphrase) {
+    const jsonData = {
+        onionAddress: match.onionAddress,
+        publicKey: match.publicKey.toString('hex'),
+        seed: match.seed.toString('hex'),
+        expandedSecretKey: match.expandedSecretKey.toString('hex')
+    };
+    return passphrase ? encryptKeys(jsonData, passphrase) : jsonData;
 }
 
-function formatDuration(ms) {
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    
-    if (hours > 0) {
-        return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
-    } else if (minutes > 0) {
-        return `${minutes}m ${seconds % 60}s`;
-    } else {
-        return `${seconds}s`;
+// Writes the files the output options ask for; a file that cannot be written is reported, not thrown
+function saveKeys(match, args, passphrase, keystore = null) {
+    const savedTo = [];
+    const saveErrors = [];
+    const save = fn => {
+        try {
+            savedTo.push(fn());
+        } catch (error) {
+            saveErrors.push(error.code === 'EEXIST' ? `${error.path} already exists, not overwritten` : error.message);
+        }
+    };
+    if (args.json && keystore) {
+        save(() => keystore.keyFile(keystore.add(keyFileData(match, passphrase), {
+            pattern: match.pattern !== undefined ? match.pattern : null,
+            tags: args.tags !== undefined ? args.tags : [],
+            note: args.note !== undefined ? args.note : '',
+            source: args.best !== undefined ? 'oniongen --best' : args.serve !== undefined ? 'oniongen --serve' : 'oniongen',
+            overwrite: args.overwrite
+        })));
+    } else if (args.json) {
+        const filename = path.join(args.outputDir, `${match.onionAddress}.json`);
+        save(() => writeFileAtomic(filename, JSON.stringify(keyFileData(match, passphrase), null, 2), { overwrite: args.overwrite }));
+    }
+    if (args.hsDir) {
+        const dir = path.join(args.outputDir, match.onionAddress);
+        save(() => writeHiddenServiceDir(dir, match, { overwrite: args.overwrite }) + path.sep);
     }
+    return { savedTo, saveErrors };
 }
 
+function readTargets(args) {
+    const targets = [];
+    if (args.matcher !== undefined && args.positional.length === 1 && !args.patterns) {
+        args.positional.unshift('^');
+    }
+    if (args.positional.length % 2 !== 0) {
+        throw new Error('patterns and numbers must come in <regex> <number> pairs');
+    }
+    for (let i = 0; i < args.positional.length; i += 2) {
+        const count = parseInt(args.positional[i + 1], 10);
+        if (isNaN(count) || count <= 0) {
+            throw new Error('number must be a positive integer');
+        }
+        targets.push({ original: args.positional[i], count });
+    }
+    if (args.patterns) {
+        let text;
+        try {
+            text = fs.readFileSync(args.patterns, 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to read patterns file: ${error.message}`);
+        }
+        try {
+            parsePatternsFile(text).forEach(({ pattern, count }) => targets.push({ original: pattern, count }));
+        } catch (error) {
+            throw new Error(`${args.patterns}: ${error.message}`);
+        }
+    }
+
+    targets.forEach(target => {
+        target.pattern = target.original.startsWith('^') ? target.original : '^' + target.original;
+        target.analysis = analyzePattern(target.pattern);
+    });
+    return targets;
+}
+
+// Checks the output options, asks for the --encrypt passphrase, creates the output directory and
+// opens the keystore; returns { passphrase, keystore }, null for what is not used
+async function prepareOutput(args) {
+    if (args.format !== 'text' && args.format !== 'ndjson') {
+        fail(`unknown format "${args.format}" (expected text or ndjson)`);
+    }
+
+    if (!ENGINES.includes(args.engine)) {
+        fail(`unknown engine "${args.engine}" (expected one of: ${ENGINES.join(', ')})`);
+    }
 
-function workerMain() {
-    const { regexPattern, workerId } = workerData;
-    const regex = new RegExp(regexPattern);
-    let attempts = 0;
-    let lastStatsAttempts = 0;
+    if (!args.json && !args.hsDir) {
+        fail('--no-json requires --hs-dir, otherwise nothing would be saved');
+    }
 
-    while (true) {
+    if (args.encrypt && args.hsDir) {
+        fail('--hs-dir writes the plaintext key tor needs and cannot be combined with --encrypt');
+    }
+    if (args.encrypt && (args.includeSecrets || args.showSecrets)) {
+        fail(`--${args.includeSecrets ? 'include' : 'show'}-secrets would print the keys that --encrypt protects`);
+    }
+    if (args.passphraseFile && !args.encrypt) {
+        fail('--passphrase-file requires --encrypt');
+    }
+    if (args.keystore === undefined && (args.tags !== undefined || args.note !== undefined)) {
+        fail(`--${args.tags !== undefined ? 'tags' : 'note'} requires --keystore`);
+    }
+    if (args.keystore !== undefined && !args.json) {
+        fail('--keystore holds the JSON key files and cannot be combined with --no-json');
+    }
+    try {
+        if (args.tags !== undefined) parseTags(args.tags);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    let passphrase = null;
+    if (args.encrypt) {
         try {
-            const { onionAddress, publicKey, privateKey } = generateOnionAddress();
-            attempts++;
-
-            if (regex.test(onionAddress)) {
-                const seed = privateKey.slice(0, 32);
-                const expandedSecretKey = expandSecretKey(seed);
-                
-                parentPort.postMessage({
-                    type: 'match',
-                    onionAddress,
-                    publicKey: publicKey.toString('base64'),
-                    secretKey: expandedSecretKey.toString('base64'),
-                    seed: seed.toString('base64'),
-                    attempts: attempts,
-                    workerId: workerId
-                });
-                lastStatsAttempts += attempts;
-                attempts = 0;
-            }
+            passphrase = await getPassphrase({ file: args.passphraseFile, confirm: true });
+        } catch (error) {
+            fail(error.message);
+        }
+    }
 
-            if (attempts % 1000 === 0) {
-                parentPort.postMessage({
-                    type: 'stats',
-                    attempts: attempts - lastStatsAttempts,
-                    workerId: workerId
-                });
-                lastStatsAttempts = attempts;
-            }
+    try {
+        fs.mkdirSync(args.outputDir, { recursive: true });
+    } catch (error) {
+        fail(`Cannot create output directory: ${error.message}`);
+    }
+
+    let keystore = null;
+    if (args.keystore !== undefined) {
+        try {
+            keystore = openKeystore(args.keystore, { create: true });
         } catch (error) {
-            parentPort.postMessage({
-                type: 'error',
-                error: error.message,
-                workerId: workerId
-            });
+            fail(`Cannot open keystore: ${error.message}`);
         }
     }
+    return { passphrase, keystore };
 }
 
-function main() {
-    if (isMainThread) {
-        if (process.argv.length < 4) {
-            console.error('Usage: node oniongen.js <regex> <number>');
-            console.error('');
-            console.error('  regex   regex pattern addresses should match (a-z, 2-7)');
-            console.error('  number  number of matching addresses to generate');
-            console.error('');
-            console.error('Example:');
-            console.error('  node oniongen.js "^test" 5');
-            console.error('  node oniongen.js "^hello[a-z]*" 10');
-            process.exit(1);
-        }
+function readWordList(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Failed to read word list: ${error.message}`);
+    }
+    try {
+        return parseWordList(text);
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+// The leaderboard file: plaintext keys unless --encrypt, each entry encrypted once and cached
+function leaderboardWriter(file, args, passphrase) {
+    const encrypted = new Map();
+
+    function entryData(entry, files) {
+        const data = { rank: entry.rank, score: entry.score, words: entry.words };
+        if (files && files.length) return { ...data, onionAddress: entry.onionAddress, publicKey: entry.publicKey.toString('hex'), files };
+        if (passphrase && !encrypted.has(entry.onionAddress)) encrypted.set(entry.onionAddress, keyFileData(entry, passphrase));
+        return { ...data, ...(passphrase ? encrypted.get(entry.onionAddress) : keyFileData(entry, null)) };
+    }
+
+    // `files` maps addresses to the key files saved at the end, which then hold the only copy of the keys
+    return function write({ mode, keep, attempts, elapsed, leaderboard }, files = null) {
+        const current = new Set(leaderboard.map(entry => entry.onionAddress));
+        [...encrypted.keys()].filter(address => !current.has(address)).forEach(address => encrypted.delete(address));
+        const contents = {
+            mode,
+            keep,
+            attempts,
+            elapsed,
+            updated: new Date().toISOString(),
+            final: Boolean(files),
+            entries: leaderboard.map(entry => entryData(entry, files && files.get(entry.onionAddress)))
+        };
+        writeFileAtomic(file, JSON.stringify(contents, null, 2), { overwrite: true });
+    };
+}
 
-        const regexPattern = process.argv[2];
-        const numAddresses = parseInt(process.argv[3], 10);
+// Scoring mode: every candidate is scored and the best --best of them are kept until the run ends
+async function runBest(args) {
+    if (args.listen !== undefined) fail('--best searches locally and cannot be combined with --listen');
+    if (args.positional.length || args.patterns) fail('--best ranks addresses by their words; give no patterns');
+    checkLocalOptions(args, '--best');
 
-        if (isNaN(numAddresses) || numAddresses <= 0) {
-            console.error('Error: number must be a positive integer');
-            process.exit(1);
+    let control;
+    let keep;
+    let words;
+    try {
+        keep = parseCount(args.best, '--best');
+        control = readRunControl(args);
+        if (args.words !== undefined) words = readWordList(args.words);
+    } catch (error) {
+        fail(error.message);
+    }
+    const mode = args.score || 'anywhere';
+    const { passphrase, keystore } = await prepareOutput(args);
+
+    const leaderboardFile = path.join(args.outputDir, LEADERBOARD_FILE);
+    if (!args.overwrite && fs.existsSync(leaderboardFile)) {
+        fail(`${leaderboardFile} already exists, not overwritten (use another --output-dir, or --overwrite)`);
+    }
+
+    let search;
+    try {
+        search = rank({ keep, words, mode, workers: control.workers, engine: args.engine, maxTime: control.maxTime, maxAttempts: control.maxAttempts });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const out = createOutput(args);
+    const writeLeaderboard = leaderboardWriter(leaderboardFile, args, passphrase);
+    const startTime = Date.now();
+    let interrupted = false;
+    let changed = false;
+    let statsInterval;
+
+    out.log('Tor v3 .onion Address Vanity Generator');
+    out.log(`Mode: best ${keep} address(es) by dictionary words ${mode === 'start' ? 'at the start of' : 'anywhere in'} the address`);
+    out.log(`Words: ${args.words !== undefined ? args.words : 'BIP39 English words of 4+ letters'} (${(words || defaultWords()).length.toLocaleString('en-US')} words)`);
+    out.log(`Workers: ${control.workers} thread(s) on ${os.cpus().length} CPU core(s)`);
+    if (control.maxTime !== Infinity) out.log(`Time budget: ${formatDuration(control.maxTime)}`);
+    if (control.maxAttempts !== Infinity) out.log(`Attempt budget: ${control.maxAttempts.toLocaleString('en-US')}`);
+    if (control.maxTime === Infinity && control.maxAttempts === Infinity) out.log('No budget: runs until Ctrl+C');
+    if (args.outputDir !== '.') out.log(`Output directory: ${args.outputDir}`);
+    if (keystore) out.log(`Keystore: ${keystore.dir}`);
+    out.log(`Engine: ${args.engine}`);
+    if (passphrase) out.log('Key files: seed and expanded secret key encrypted (scrypt, AES-256-GCM)');
+    out.log(`Leaderboard: ${leaderboardFile}, updated as it changes`);
+    out.emit({
+        type: 'start',
+        best: keep,
+        score: mode,
+        words: args.words !== undefined ? args.words : null,
+        workers: control.workers,
+        engine: args.engine,
+        maxTime: control.maxTime === Infinity ? null : control.maxTime,
+        maxAttempts: control.maxAttempts === Infinity ? null : control.maxAttempts,
+        outputDir: args.outputDir,
+        keystore: keystore ? keystore.dir : null,
+        encrypted: Boolean(passphrase)
+    });
+
+    function persist() {
+        try {
+            writeLeaderboard(search.stats());
+            changed = false;
+        } catch (error) {
+            console.error(`\nError: cannot write ${leaderboardFile}: ${error.message}`);
         }
+    }
+
+    function printStats() {
+        const elapsed = Date.now() - startTime;
+        const { attempts, leaderboard } = search.stats();
+        const rate = attempts > 0 ? (attempts / (elapsed / 1000)).toFixed(0) : 0;
+        const best = leaderboard.length ? leaderboard[0].score : null;
+        out.emit({ type: 'progress', elapsed, attempts, rate: Number(rate), entries: leaderboard.length, best });
+        out.write(`\rAttempts: ${attempts.toLocaleString('en-US')} | Rate: ${rate}/s | `);
+        out.write(`Best score: ${best === null ? '-' : best} | Leaderboard: ${leaderboard.length}/${keep} | Time: ${formatDuration(elapsed)}`);
+        if (changed) persist();
+    }
 
-        let normalizedPattern = regexPattern;
-        if (!normalizedPattern.startsWith('^')) {
-            normalizedPattern = '^' + normalizedPattern;
+    search.on('entry', entry => {
+        const elapsed = Date.now() - startTime;
+        changed = true;
+        if (entry.rank === 1) {
+            out.log(`\nNew best after ${entry.attempts.toLocaleString('en-US')} attempts: ${entry.onionAddress}.onion, score ${entry.score} (${entry.words.join(' ')})`);
         }
-        
-        let regex;
+        const event = {
+            type: 'entry',
+            rank: entry.rank,
+            score: entry.score,
+            words: entry.words,
+            onionAddress: entry.onionAddress,
+            publicKey: entry.publicKey.toString('hex'),
+            workerId: entry.workerId,
+            attempts: entry.attempts,
+            elapsed
+        };
+        if (args.includeSecrets) {
+            event.seed = entry.seed.toString('hex');
+            event.expandedSecretKey = entry.expandedSecretKey.toString('hex');
+        }
+        out.emit(event);
+    });
+
+    search.on('workerError', ({ workerId, error, fatal }) => {
+        out.emit({ type: 'worker-error', workerId, error: error.message, fatal });
+        if (fatal) console.error(`\nWorker #${workerId + 1} fatal error:`, error);
+        else console.error(`\nWorker #${workerId + 1} error: ${error.message}`);
+    });
+
+    search.on('end', (result) => {
+        clearInterval(statsInterval);
+        const { reason, attempts, elapsed, workerAttempts, leaderboard } = result;
+        out.log('');
+        if (interrupted) out.log('\nInterrupted by user');
+        else if (reason === 'max-time') out.log(`Time budget of ${formatDuration(control.maxTime)} exhausted`);
+        else if (reason === 'max-attempts') out.log(`Attempt budget of ${control.maxAttempts.toLocaleString('en-US')} exhausted`);
+
+        const files = new Map();
+        out.log(`Best ${leaderboard.length} address(es):`);
+        leaderboard.forEach(entry => {
+            const { savedTo, saveErrors } = saveKeys(entry, args, passphrase, keystore);
+            files.set(entry.onionAddress, savedTo);
+            out.log(`  ${String(entry.rank).padStart(2)}. ${entry.onionAddress}.onion  score ${entry.score} (${entry.words.join(' ')})`);
+            if (args.showSecrets) {
+                if (entry.seed.length === 32) out.log(`      Seed: ${entry.seed.toString('hex')}`);
+                out.log(`      Expanded Secret Key: ${entry.expandedSecretKey.toString('hex')}`);
+            }
+            saveErrors.forEach(error => console.error(`Error: not saved: ${error}`));
+        });
         try {
-            regex = new RegExp(normalizedPattern);
+            writeLeaderboard(result, files);
+            out.log(`Leaderboard written to ${leaderboardFile}`);
         } catch (error) {
-            console.error(`Error: Invalid regex pattern: ${error.message}`);
-            process.exit(1);
+            console.error(`Error: cannot write ${leaderboardFile}: ${error.message}`);
         }
+        leaderboard.forEach(entry => {
+            entry.seed.fill(0);
+            entry.expandedSecretKey.fill(0);
+        });
 
-        const startTime = Date.now();
-        const numWorkers = os.cpus().length;
-        
-        console.log('Tor v3 .onion Address Vanity Generator');
-        console.log(`Pattern: ${normalizedPattern}`);
-        if (normalizedPattern !== regexPattern) {
-            console.log(`(Original: ${regexPattern} -> auto-prefixed with '^')`);
-        }
-        console.log(`Target: ${numAddresses} matching address(es)`);
-        console.log(`Workers: ${numWorkers} CPU core(s)`);
+        const rate = attempts > 0 ? (attempts / (elapsed / 1000)).toFixed(2) : 0;
+        out.log(`Total attempts: ${attempts.toLocaleString('en-US')}`);
+        out.log(`Total time: ${formatDuration(elapsed)}`);
+        out.log(`Average rate: ${rate} attempts/sec`);
+        out.emit({
+            type: 'summary',
+            reason: interrupted ? 'interrupted' : reason,
+            attempts,
+            elapsed,
+            rate: Number(rate),
+            workerAttempts,
+            leaderboard: leaderboard.map(entry => ({
+                rank: entry.rank,
+                score: entry.score,
+                words: entry.words,
+                onionAddress: entry.onionAddress,
+                files: files.get(entry.onionAddress)
+            }))
+        });
+        process.exit(reason === 'workers-exited' ? 1 : 0);
+    });
 
-        let foundCount = 0;
-        let totalAttempts = 0;
-        const workerAttempts = new Array(numWorkers).fill(0);
-        const workers = [];
-        let lastStatsTime = Date.now();
-        let statsInterval;
+    statsInterval = setInterval(printStats, 1000);
 
-        function printStats() {
-            const elapsed = Date.now() - startTime;
-            const rate = totalAttempts > 0 ? (totalAttempts / (elapsed / 1000)).toFixed(0) : 0;
-            
-            process.stdout.write(`\rProgress: ${foundCount}/${numAddresses} found | `);
-            process.stdout.write(`Attempts: ${totalAttempts.toLocaleString('en-US')} | `);
-            process.stdout.write(`Rate: ${rate}/s | `);
-            process.stdout.write(`Time: ${formatDuration(elapsed)}`);
-            lastStatsTime = Date.now();
+    process.on('SIGINT', () => {
+        interrupted = true;
+        search.stop();
+    });
+}
+
+function describeJob(job) {
+    const patterns = job.patterns.map(p => `${p.pattern} ${p.found}/${p.count}`).join(', ');
+    if (job.status === 'queued' || job.status === 'running') return patterns;
+    const reason = job.error ? `: ${job.error}` : job.reason ? ` (${job.reason})` : '';
+    return `${job.status}${reason}, ${patterns}, ${job.attempts.toLocaleString('en-US')} attempts in ${formatDuration(job.elapsed)}`;
+}
+
+// Job server mode: searches submitted over HTTP wait in a queue and take turns on this machine's workers
+async function runServe(args) {
+    if (args.positional.length || args.patterns) fail('the job server takes its patterns from the submitted jobs');
+    if (args.words !== undefined || args.score !== undefined) fail(`--${args.words !== undefined ? 'words' : 'score'} requires --best`);
+    checkLocalOptions(args, 'the job server');
+
+    let control;
+    try {
+        control = readRunControl(args);
+        parseHostPort(args.serve);
+    } catch (error) {
+        fail(error.message);
+    }
+    // Clients do not share the server's working directory, so the paths in jobs are absolute
+    args.outputDir = path.resolve(args.outputDir);
+    if (args.keystore !== undefined) args.keystore = path.resolve(args.keystore);
+    const { passphrase, keystore } = await prepareOutput(args);
+    const stateFile = path.join(args.outputDir, JOBS_FILE);
+    const serverTags = args.tags !== undefined ? parseTags(args.tags) : [];
+    const save = (match, job) => saveKeys(match, { ...args, tags: [...serverTags, ...job.tags], note: job.note || args.note }, passphrase, keystore);
+
+    let queue;
+    try {
+        queue = createJobQueue({ stateFile, workers: control.workers, engine: args.engine, save, defaults: control });
+    } catch (error) {
+        fail(error.message);
+    }
+    const token = readToken(args);
+    const out = createOutput(args);
+
+    out.log('Tor v3 .onion Address Vanity Generator');
+    out.log('Mode: job server, one job at a time');
+    out.log(`Workers: ${control.workers} thread(s) per job on ${os.cpus().length} CPU core(s)`);
+    if (control.maxTime !== Infinity) out.log(`Default time budget per job: ${formatDuration(control.maxTime)}`);
+    if (control.maxAttempts !== Infinity) out.log(`Default attempt budget per job: ${control.maxAttempts.toLocaleString('en-US')}`);
+    out.log(`Jobs: ${stateFile}`);
+    if (keystore) out.log(`Keystore: ${keystore.dir}`);
+    else if (args.outputDir !== '.') out.log(`Output directory: ${args.outputDir}`);
+    out.log(`Engine: ${args.engine}`);
+    if (passphrase) out.log('Key files: seed and expanded secret key encrypted (scrypt, AES-256-GCM)');
+    const restored = queue.list();
+    if (restored.length) {
+        out.log(`Restored ${restored.length} job(s), ${restored.filter(job => job.status === 'queued').length} of them still to run`);
+    }
+    if (!token) out.log(`Warning: no --token or $${TOKEN_ENV} set, anyone who can connect may submit jobs and fetch keys`);
+
+    queue.on('job', ({ event, job }) => {
+        out.log(`Job ${job.id} ${event}: ${describeJob(job)}`);
+        out.emit({ type: 'job', event, id: job.id, status: job.status, patterns: job.patterns, attempts: job.attempts, elapsed: job.elapsed, error: job.error });
+    });
+    queue.on('match', ({ job, match }) => {
+        out.log(`Job ${job.id} match for ${match.pattern}: ${match.onionAddress}.onion${match.files.length ? `, saved to ${match.files.join(', ')}` : ''}`);
+        (match.errors || []).forEach(error => console.error(`Error: not saved: ${error}`));
+        out.emit({ type: 'match', job: job.id, ...match });
+    });
+    queue.on('workerError', ({ job, workerId, error, fatal }) => {
+        out.emit({ type: 'worker-error', job: job.id, workerId, error: error.message, fatal });
+        console.error(`Job ${job.id}: worker #${workerId + 1} ${fatal ? 'fatal error' : 'error'}: ${error.message}`);
+    });
+    queue.on('error', error => console.error(`Error: ${error.message}`));
+
+    let endpoint;
+    try {
+        endpoint = serveJobs(args.serve, queue, { token });
+    } catch (error) {
+        fail(error.message);
+    }
+    endpoint.on('listening', ({ host, port }) => {
+        out.log(`Listening for jobs on http://${host.includes(':') ? `[${host}]` : host}:${port}/jobs`);
+        out.emit({ type: 'listening', host, port });
+        queue.start();
+    });
+    endpoint.on('error', error => fail(`Cannot serve jobs on ${args.serve}: ${error.message}`));
+
+    process.on('SIGINT', () => {
+        queue.close();
+        endpoint.close();
+        out.log('\nStopped; a job that was running continues on the next start');
+        process.exit(0);
+    });
+}
+
+async function main() {
+    let args;
+    let control;
+    let targets;
+    let matcherOptions;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run with --help for usage.');
+        process.exit(1);
+    }
+
+    if (args.help) {
+        console.log(USAGE.join('\n'));
+        return;
+    }
+
+    if (args.benchmark) {
+        runBenchmark(args.positional.length ? Number(args.positional[0]) : 3);
+        return;
+    }
+
+    if (args.serve !== undefined) {
+        const other = ['connect', 'listen', 'best'].find(name => args[name] !== undefined);
+        if (other) fail(`--serve cannot be combined with --${other}`);
+        await runServe(args);
+        return;
+    }
+    if (args.connect !== undefined) {
+        runNode(args);
+        return;
+    }
+    if (args.name !== undefined) fail('--name requires --connect');
+    if (args.best !== undefined) {
+        await runBest(args);
+        return;
+    }
+    if (args.words !== undefined || args.score !== undefined) fail(`--${args.words !== undefined ? 'words' : 'score'} requires --best`);
+    const listening = args.listen !== undefined;
+    if (listening && args.workers !== undefined) {
+        fail('a coordinator does not search itself; give --workers to the nodes that --connect');
+    }
+    if (listening) checkLocalOptions(args, 'a coordinator');
+
+    // With a matcher, a lone number searches every address: the matcher alone decides
+    const matcherOnly = args.matcher !== undefined && args.positional.length === 1 && !args.patterns;
+    if (args.positional.length < 2 && !args.patterns && !matcherOnly) {
+        console.error(USAGE.join('\n'));
+        process.exit(1);
+    }
+
+    try {
+        targets = readTargets(args);
+        control = readRunControl(args);
+        if (args.metrics !== undefined) parseHostPort(args.metrics);
+        matcherOptions = readMatcherOptions(args);
+        if (args.matcher !== undefined) loadMatcher(args.matcher);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { passphrase, keystore } = await prepareOutput(args);
+
+    const invalid = targets.filter(t => t.analysis.errors.length);
+    if (invalid.length) {
+        invalid.forEach(t => t.analysis.errors.forEach(error => {
+            console.error(`Error: ${targets.length > 1 ? t.pattern + ': ' : ''}${error}`);
+        }));
+        process.exit(1);
+    }
+
+    const numWorkers = control.workers;
+    const out = createOutput(args);
+    const numAddresses = targets.reduce((n, t) => n + t.count, 0);
+    
+    out.log('Tor v3 .onion Address Vanity Generator');
+    targets.forEach(t => {
+        out.log(`Pattern: ${t.pattern}${targets.length > 1 ? ` (${t.count})` : ''}`);
+        if (t.pattern !== t.original) {
+            out.log(`(Original: ${t.original} -> auto-prefixed with '^')`);
         }
+    });
+    out.log(`Target: ${numAddresses} matching address(es)`);
+    if (!listening) out.log(`Workers: ${numWorkers} thread(s) on ${os.cpus().length} CPU core(s)`);
+    if (control.maxTime !== Infinity) out.log(`Time budget: ${formatDuration(control.maxTime)}`);
+    if (control.maxAttempts !== Infinity) out.log(`Attempt budget: ${control.maxAttempts.toLocaleString('en-US')}`);
+    if (args.outputDir !== '.') out.log(`Output directory: ${args.outputDir}`);
+    if (keystore) out.log(`Keystore: ${keystore.dir}`);
+    if (!listening) out.log(`Engine: ${args.engine}`);
+    if (args.matcher !== undefined) out.log(`Matcher: ${args.matcher}${matcherOptions !== undefined ? ` with options ${JSON.stringify(matcherOptions)}` : ''}`);
+    if (passphrase) out.log('Key files: seed and expanded secret key encrypted (scrypt, AES-256-GCM)');
+    out.emit({
+        type: 'start',
+        patterns: targets.map(t => ({ pattern: t.pattern, count: t.count })),
+        workers: listening ? null : numWorkers,
+        engine: listening ? null : args.engine,
+        listen: listening ? args.listen : null,
+        matcher: args.matcher !== undefined ? args.matcher : null,
+        maxTime: control.maxTime === Infinity ? null : control.maxTime,
+        maxAttempts: control.maxAttempts === Infinity ? null : control.maxAttempts,
+        outputDir: args.outputDir,
+        keystore: keystore ? keystore.dir : null,
+        encrypted: Boolean(passphrase)
+    });
+    targets.forEach(t => t.analysis.warnings.forEach(warning => {
+        out.log(`Warning: ${targets.length > 1 ? t.pattern + ': ' : ''}${warning}`);
+        out.emit({ type: 'warning', pattern: t.pattern, message: warning });
+    }));
+    if (args.estimate && args.matcher !== undefined) {
+        out.log('Difficulty: unknown, the matcher has the last word on every match');
+    } else if (args.estimate) {
+        printEstimate(targets, args.engine, listening ? null : numWorkers, out);
+    }
+
+    const startTime = Date.now();
+    const patternFound = new Array(targets.length).fill(0);
+
+    let foundCount = 0;
+    let interrupted = false;
+    let statsInterval;
+    let search;
+    let monitor = null;
+    let dashboard = false;
+
+    function totalAttempts() {
+        return search.stats().attempts;
+    }
+
+    function perPattern() {
+        return targets.map((t, i) => `${t.pattern} ${patternFound[i]}/${t.count}`).join(', ');
+    }
 
-        function saveToJSON(data) {
-            const publicKey = Buffer.from(data.publicKey, 'base64');
-            const secretKey = Buffer.from(data.secretKey, 'base64');
-            const seed = Buffer.from(data.seed || '', 'base64');
-            
-            const jsonData = {
-                onionAddress: data.onionAddress,
-                publicKey: publicKey.toString('hex'),
-                seed: seed.toString('hex'),
-                expandedSecretKey: secretKey.toString('hex')
-            };
-            
-            const filename = `${data.onionAddress}.json`;
-            fs.writeFileSync(filename, JSON.stringify(jsonData, null, 2));
-            return filename;
+    // Connected nodes with their current rates, for coordinator runs
+    function nodeRates() {
+        const nodes = search.stats().nodes.filter(node => node.connected);
+        return `Nodes: ${nodes.length}${nodes.map((node, i) => `${i ? ',' : ' ('} ${node.name} ${node.rate}/s`).join('')}${nodes.length ? ')' : ''}`;
+    }
+
+    function printStats() {
+        const elapsed = Date.now() - startTime;
+        const attempts = totalAttempts();
+        const rate = attempts > 0 ? (attempts / (elapsed / 1000)).toFixed(0) : 0;
+        const { workerAttempts, nodes } = search.stats();
+        if (monitor) monitor.sample(search.stats());
+
+        out.emit({
+            type: 'progress',
+            elapsed,
+            attempts,
+            rate: Number(rate),
+            found: foundCount,
+            workerAttempts,
+            nodes,
+            patterns: targets.map((t, i) => ({ pattern: t.pattern, found: patternFound[i], count: t.count }))
+        });
+        if (dashboard) {
+            out.live(renderDashboard(monitor.snapshot()));
+            return;
         }
+        
+        out.write(`\rProgress: ${foundCount}/${numAddresses} found${targets.length > 1 ? ` (${perPattern()})` : ''} | `);
+        out.write(`Attempts: ${attempts.toLocaleString('en-US')} | `);
+        out.write(`Rate: ${rate}/s | `);
+        if (listening) out.write(`${nodeRates()} | `);
+        out.write(`Time: ${formatDuration(elapsed)}`);
+    }
 
-        function printMatch(data) {
-            const elapsed = Date.now() - startTime;
-            const publicKey = Buffer.from(data.publicKey, 'base64');
-            const secretKey = Buffer.from(data.secretKey, 'base64');
-            const seed = Buffer.from(data.seed || '', 'base64');
-            
-            const jsonFile = saveToJSON(data);
-            
-            console.log('');
-            console.log(`Match #${foundCount} found after ${data.attempts.toLocaleString('en-US')} attempts`);
-            console.log(`Onion Address: ${data.onionAddress}.onion`);
-            console.log(`Public Key: ${publicKey.toString('hex')}`);
-            if (seed.length === 32) {
-                console.log(`Seed: ${seed.toString('hex')}`);
+    function printMatch(match) {
+        const elapsed = Date.now() - startTime;
+        const attempts = totalAttempts();
+        
+        const { savedTo, saveErrors } = saveKeys(match, args, passphrase, keystore);
+        
+        out.log('');
+        out.log(`Match #${foundCount}${targets.length > 1 ? ` for ${match.pattern}` : ''} found after ${match.attempts.toLocaleString('en-US')} attempts${match.node ? ` by ${match.node.name}` : ''}`);
+        out.log(`Onion Address: ${match.onionAddress}.onion`);
+        out.log(`Public Key: ${match.publicKey.toString('hex')}`);
+        if (passphrase) {
+            out.log('Secret keys: encrypted in the JSON file');
+        } else if (!args.showSecrets) {
+            out.log('Secret keys: hidden (saved to file, use --show-secrets to print them)');
+        } else {
+            if (match.seed.length === 32) {
+                out.log(`Seed: ${match.seed.toString('hex')}`);
             }
-            console.log(`Expanded Secret Key: ${secretKey.toString('hex')}`);
-            console.log(`Saved to: ${jsonFile}`);
-            console.log(`Time: ${formatDuration(elapsed)} | Found: ${foundCount}/${numAddresses} | Attempts: ${totalAttempts.toLocaleString('en-US')} | Rate: ${totalAttempts > 0 ? (totalAttempts / (elapsed / 1000)).toFixed(0) : 0}/s`);
-            process.stdout.write('\r');
+            out.log(`Expanded Secret Key: ${match.expandedSecretKey.toString('hex')}`);
         }
+        if (savedTo.length) out.log(`Saved to: ${savedTo.join(', ')}`);
+        saveErrors.forEach(error => console.error(`Error: not saved: ${error}`));
 
-        function printSummary() {
-            const elapsed = Date.now() - startTime;
-            const avgRate = totalAttempts > 0 ? (totalAttempts / (elapsed / 1000)).toFixed(2) : 0;
-            
-            console.log('');
-            console.log('Generation Complete!');
-            console.log(`Addresses found: ${foundCount}/${numAddresses}`);
-            console.log(`Total attempts: ${totalAttempts.toLocaleString('en-US')}`);
-            console.log(`Total time: ${formatDuration(elapsed)}`);
-            console.log(`Average rate: ${avgRate} attempts/sec`);
+        const event = {
+            type: 'match',
+            pattern: match.pattern,
+            onionAddress: match.onionAddress,
+            publicKey: match.publicKey.toString('hex'),
+            files: savedTo,
+            workerId: match.workerId,
+            attempts,
+            elapsed
+        };
+        if (args.includeSecrets) {
+            event.seed = match.seed.toString('hex');
+            event.expandedSecretKey = match.expandedSecretKey.toString('hex');
         }
+        if (saveErrors.length) event.errors = saveErrors;
+        out.emit(event);
+        out.log(`Time: ${formatDuration(elapsed)} | Found: ${foundCount}/${numAddresses} | Attempts: ${attempts.toLocaleString('en-US')} | Rate: ${attempts > 0 ? (attempts / (elapsed / 1000)).toFixed(0) : 0}/s`);
+        out.write('\r');
+    }
 
-        for (let i = 0; i < numWorkers; i++) {
-            const worker = new Worker(__filename, {
-                workerData: { regexPattern: normalizedPattern, workerId: i }
-            });
-
-            worker.on('message', (data) => {
-                if (data.type === 'match' && foundCount < numAddresses) {
-                    totalAttempts += data.attempts;
-                    workerAttempts[data.workerId] += data.attempts;
-                    foundCount++;
-                    
-                    printMatch(data);
-
-                    if (foundCount >= numAddresses) {
-                        if (statsInterval) clearInterval(statsInterval);
-                        workers.forEach(w => w.terminate());
-                        printSummary();
-                        process.exit(0);
-                    }
-                } else if (data.type === 'stats') {
-                    workerAttempts[data.workerId] += data.attempts;
-                    totalAttempts += data.attempts;
-                } else if (data.type === 'error') {
-                    console.error(`\nWorker #${data.workerId + 1} error: ${data.error}`);
-                }
-            });
-
-            worker.on('error', (error) => {
-                console.error(`\nWorker #${i + 1} fatal error:`, error);
-            });
-
-            workers.push(worker);
+    function printSummary(reason) {
+        const elapsed = Date.now() - startTime;
+        const attempts = totalAttempts();
+        const avgRate = attempts > 0 ? (attempts / (elapsed / 1000)).toFixed(2) : 0;
+        
+        out.log('');
+        if (reason === 'max-time') out.log(`Time budget of ${formatDuration(control.maxTime)} exhausted`);
+        else if (reason === 'max-attempts') out.log(`Attempt budget of ${control.maxAttempts.toLocaleString('en-US')} exhausted`);
+        out.log('Generation Complete!');
+        out.log(`Addresses found: ${foundCount}/${numAddresses}`);
+        if (targets.length > 1) {
+            targets.forEach((t, i) => out.log(`  ${t.pattern}: ${patternFound[i]}/${t.count}`));
         }
+        out.log(`Total attempts: ${attempts.toLocaleString('en-US')}`);
+        out.log(`Total time: ${formatDuration(elapsed)}`);
+        out.log(`Average rate: ${avgRate} attempts/sec`);
+        const { workerAttempts, nodes } = search.stats();
+        if (nodes) {
+            out.log('Attempts per node:');
+            nodes.forEach(node => out.log(`  ${node.name} (${node.address}): ${node.attempts.toLocaleString('en-US')} attempts`));
+        }
+
+        out.emit({
+            type: 'summary',
+            reason: interrupted ? 'interrupted' : reason,
+            found: foundCount,
+            target: numAddresses,
+            attempts,
+            elapsed,
+            rate: Number(avgRate),
+            workerAttempts,
+            nodes,
+            patterns: targets.map((t, i) => ({ pattern: t.pattern, found: patternFound[i], count: t.count }))
+        });
+    }
 
-        statsInterval = setInterval(printStats, 1000);
+    const searchOptions = {
+        patterns: targets.map(t => ({ pattern: t.pattern, count: t.count })),
+        maxTime: control.maxTime,
+        maxAttempts: control.maxAttempts
+    };
+    if (listening) {
+        const token = readToken(args);
+        try {
+            search = coordinate({ ...searchOptions, listen: args.listen, token });
+        } catch (error) {
+            fail(error.message);
+        }
+        if (!token) out.log(`Warning: no --token or $${TOKEN_ENV} set, any machine that can connect may join`);
+    } else {
+        try {
+            search = generate({ ...searchOptions, workers: numWorkers, engine: args.engine, matcher: args.matcher, matcherOptions });
+        } catch (error) {
+            fail(error.message);
+        }
+    }
 
-        process.on('SIGINT', () => {
-            if (statsInterval) clearInterval(statsInterval);
-            console.log('\n\nInterrupted by user');
-            printSummary();
-            workers.forEach(w => w.terminate());
-            process.exit(0);
+    if (args.dashboard || args.metrics !== undefined) {
+        monitor = createMonitor({
+            workers: numWorkers,
+            patterns: targets.map(t => ({ pattern: t.pattern, count: t.count, probability: args.matcher !== undefined ? null : t.analysis.probability }))
         });
+        monitor.sample(search.stats());
+    }
+    if (args.dashboard && !out.interactive) {
+        out.log('Warning: --dashboard needs a terminal, showing the progress line instead');
     } else {
-        workerMain();
+        dashboard = args.dashboard;
     }
+    if (args.metrics !== undefined) {
+        let endpoint;
+        try {
+            endpoint = serveMetrics(args.metrics, () => monitor.snapshot());
+        } catch (error) {
+            fail(error.message);
+        }
+        endpoint.on('listening', ({ host, port }) => {
+            out.log(`Metrics: http://${host.includes(':') ? `[${host}]` : host}:${port}/metrics`);
+            out.emit({ type: 'metrics', host, port });
+        });
+        endpoint.on('error', error => {
+            out.clearLive();
+            fail(`Cannot serve metrics on ${args.metrics}: ${error.message}`);
+        });
+    }
+
+    search.on('listening', ({ host, port }) => {
+        out.log(`Listening for search nodes on ${host}:${port}`);
+        out.emit({ type: 'listening', host, port });
+    });
+
+    search.on('node', ({ event, node }) => {
+        out.log(`\nNode ${node.name} (${node.address}) ${event}${event === 'connected' ? ` with ${node.workers} worker(s), engine ${node.engine}` : ''}`);
+        out.emit({ type: 'node', event, id: node.id, name: node.name, address: node.address, workers: node.workers, engine: node.engine, attempts: node.attempts });
+    });
+
+    search.on('match', (match) => {
+        patternFound[match.patternIndex]++;
+        foundCount++;
+        printMatch(match);
+        match.seed.fill(0);
+        match.expandedSecretKey.fill(0);
+    });
+
+    search.on('workerError', ({ workerId, error, fatal }) => {
+        out.emit({ type: 'worker-error', workerId, error: error.message, fatal });
+        if (monitor) monitor.workerError({ workerId, error, fatal });
+        out.clearLive();
+        if (listening) console.error(`\n${fatal ? 'Error' : 'Node error'}: ${error.message}`);
+        else if (fatal) console.error(`\nWorker #${workerId + 1} fatal error:`, error);
+        else console.error(`\nWorker #${workerId + 1} error: ${error.message}`);
+    });
+
+    search.on('end', ({ reason }) => {
+        if (statsInterval) clearInterval(statsInterval);
+        if (interrupted) out.log('\n\nInterrupted by user');
+        printSummary(reason);
+        if (reason === 'max-time' || reason === 'max-attempts') process.exit(EXIT_BUDGET);
+        process.exit(reason === 'workers-exited' || reason === 'listen-failed' ? 1 : 0);
+    });
+
+    statsInterval = setInterval(printStats, 1000);
+
+    process.on('SIGINT', () => {
+        interrupted = true;
+        search.stop();
+    });
 }
 
-main();
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,783 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { collectKeySources, summarize } = require('./lib/batch');
+const { parseOptions, parseCount } = require('./lib/cli');
+const { FORMATS, keysFromSeed, importKey, exportKey } = require('./lib/convert');
+const { writeFileAtomic } = require('./lib/files');
+const { HS_SECRET_KEY_HEADER, readTorKeyFile, readHiddenServiceDir, writeHiddenServiceDir } = require('./lib/hsdir');
+const { inspectOnionAddress } = require('./lib/inspect');
+const { isEncrypted, decryptKeys } = require('./lib/keyfile');
+const { KEYSTORE_ENV, defaultKeystoreDir, openKeystore } = require('./lib/keystore');
+const { onionAddressFromPublicKey, derivePubFromExpandedHex } = require('./lib/onion');
+const { SEED_WORDS, seedToMnemonic, mnemonicToSeed } = require('./lib/mnemonic');
+const { PASSPHRASE_ENV, getPassphrase, promptHidden } = require('./lib/passphrase');
+const { encodeQR, renderQR } = require('./lib/qr');
+const { signMessage, verifyMessage } = require('./lib/signature');
+const { verify } = require('./lib/verify');
+const {
+    TIME_PERIOD_LENGTH,
+    timePeriod,
+    timePeriodByNumber,
+    blindPublicKey,
+    subcredential
+} = require('./lib/blinding');
+const {
+    generateClientAuthKeyPair,
+    formatAuthFile,
+    formatAuthPrivateFile,
+    verifyClientAuth
+} = require('./lib/clientauth');
+
+const CLIENT_NAME = /^[A-Za-z0-9_-]+$/;
+
+const OPTIONS = {
+    'time': { type: 'string' },
+    'period': { type: 'string' },
+    'period-length': { type: 'string' },
+    'output-dir': { type: 'string', default: '.' },
+    'overwrite': { type: 'boolean', default: false },
+    'onion': { type: 'string' },
+    'message': { type: 'string' },
+    'output': { type: 'string' },
+    'to': { type: 'string' },
+    'paper': { type: 'boolean', default: false },
+    'passphrase-file': { type: 'string' },
+    'store': { type: 'string' },
+    'tag': { type: 'string' },
+    'tags': { type: 'string' },
+    'note': { type: 'string' },
+    'pattern': { type: 'string' },
+    'yes': { type: 'boolean', default: false },
+    'json': { type: 'boolean', default: false },
+    'help': { type: 'boolean', alias: 'h', default: false }
+};
+
+const USAGE = [
+    'Usage: node onionkey.js <command> [arguments] [options]',
+    '',
+    'Commands:',
+    '  blind <key> [time]      blinded public key and subcredential for a time period',
+    '  auth <key> <client>     new x25519 client authorization key pair for <key>',
+    '  auth-verify <client.auth> <client.auth_private>',
+    '                          check that the two files hold one key pair',
+    '  sign <secret key> [file]',
+    '                          sign a file (or --message) with the identity key',
+    '  verify <address> [file] <signature>',
+    '                          check a signature of a file (or --message) against an address',
+    '  convert <secret key> --to <format>',
+    `                          write the key as ${[...FORMATS, 'hs-dir'].join(', ')}`,
+    '  backup <secret key>     the seed as 24 BIP39 words, or a printable page with --paper',
+    '  restore [file]          rebuild the key from the words (or hex seed) in a file, on stdin',
+    '                          or typed in',
+    '  store <action>          manage the keys in a keystore:',
+    '    init                  create the keystore',
+    '    list [regex]          list keys, optionally only addresses matching the regex',
+    '    show <address>        everything the index knows about one key',
+    '    import <path>...      add JSON key files, HiddenServiceDirs or any <secret key>;',
+    '                          directories and globs are searched like test.js --batch',
+    '    export <address> --to <format>',
+    '                          write a stored key in another format, like convert',
+    '    tag <address> <tag>...    add tags',
+    '    untag <address> <tag>...  remove tags',
+    '    note <address> <text> replace the note',
+    '    delete <address>      overwrite and remove the key file and its index entry',
+    '    check                 run the test.js checks on every stored key',
+    '                          <address> may be any unambiguous prefix, except for delete',
+    '',
+    '  <key> is an onion address, an oniongen <address>.json file or a HiddenServiceDir.',
+    '  <secret key> is an <address>.json file, a HiddenServiceDir, an hs_ed25519_secret_key file',
+    '  or a PKCS#8 PEM, OpenSSH or JWK private key.',
+    '  A file of "-" is read from stdin.',
+    '',
+    'Options for blind:',
+    '  --time <time>           unix time in seconds or an ISO 8601 date (default: now)',
+    '  --period <n>            use this time period number instead of --time',
+    `  --period-length <min>   time period length in minutes (default: ${TIME_PERIOD_LENGTH})`,
+    '',
+    'Options for auth:',
+    '  --output-dir <path>     where to write <client>.auth_private, and <client>.auth unless',
+    '                          <key> is a HiddenServiceDir (default: current directory)',
+    '  --overwrite             replace existing auth files',
+    '',
+    'Options for auth-verify:',
+    '  --onion <address>       also check that the .auth_private file is for this address',
+    '',
+    'Options for sign and verify:',
+    '  --message <text>        sign or verify this text instead of a file',
+    '  --output <file>         write the signature to a file instead of stdout (sign)',
+    '  --passphrase-file <f>   passphrase of an encrypted key file (sign, convert)',
+    '',
+    'Options for convert:',
+    `  --to <format>           ${[...FORMATS, 'hs-dir'].join(', ')}; pem, openssh and jwk need a seed`,
+    '  --output <path>         write to a file (a directory for hs-dir) instead of stdout',
+    '  --overwrite             replace an existing --output',
+    '',
+    'Options for backup:',
+    '  --paper                 a printable page with the words, the hex seed and a QR code',
+    '  --output <file>         write to a file instead of stdout',
+    '',
+    'Options for restore:',
+    '  --onion <address>       the address the words should restore (checked)',
+    '  --output-dir <path>     where to write <address>.json (default: current directory)',
+    '',
+    'Options for store:',
+    `  --store <dir>           the keystore (default: $${KEYSTORE_ENV} or ~/.oniongen/keystore)`,
+    '  --tag <tag>             list: only keys with this tag',
+    '  --pattern <regex>       list: only keys generated for this pattern;',
+    '                          import: the pattern to record',
+    '  --tags <a,b,...>        import: tags to record',
+    '  --note <text>           import: the note to record',
+    '  --overwrite             import: replace keys already in the keystore',
+    '  --passphrase-file <f>   passphrase of encrypted keys (export, check)',
+    '  --yes                   delete without asking',
+    '',
+    'Options:',
+    '  --json                  print the result as JSON',
+    '  -h, --help              show this help',
+    '',
+    'Example:',
+    '  node onionkey.js blind xxxx.json 2016-04-13T11:15:01Z',
+    '  node onionkey.js auth /var/lib/tor/hidden_service alice',
+    '  node onionkey.js sign xxxx.json statement.txt --output statement.txt.sig',
+    '  node onionkey.js verify xxxx.onion statement.txt statement.txt.sig',
+    '  node onionkey.js convert xxxx.json --to openssh --output id_ed25519',
+    '  node onionkey.js backup xxxx.json --paper --output backup.txt',
+    '  node onionkey.js restore --onion xxxx.onion',
+    '  node onionkey.js store import *.json --tags blog',
+    '  node onionkey.js store list --tag blog'
+];
+
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
+
+function isDirectory(p) {
+    try {
+        return fs.statSync(p).isDirectory();
+    } catch (err) {
+        return false;
+    }
+}
+
+// The public half of a key given as an address, a JSON key file (encrypted or not) or a HiddenServiceDir
+function readPublicKey(input) {
+    let onionAddress;
+    let publicKeyHex;
+    if (isDirectory(input)) {
+        ({ onionAddress, publicKey: publicKeyHex } = readHiddenServiceDir(input));
+    } else if (fs.existsSync(input)) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(input, 'utf8'));
+        } catch (err) {
+            throw new Error(`Failed to read JSON file: ${err.message}`);
+        }
+        onionAddress = data.onionAddress || '';
+        publicKeyHex = data.publicKey || '';
+    } else {
+        const info = inspectOnionAddress(input);
+        if (!info.ok) throw new Error(`${input} is not a valid onion address: ${info.errors[0]}`);
+        return { onionAddress: info.onionAddress, publicKey: Buffer.from(info.publicKey, 'hex') };
+    }
+
+    if (!/^[0-9a-f]{64}$/i.test(publicKeyHex)) {
+        throw new Error(`${input} has no valid public key`);
+    }
+    const publicKey = Buffer.from(publicKeyHex, 'hex');
+    if (onionAddressFromPublicKey(publicKey) !== onionAddress.toLowerCase().replace(/\.onion$/, '')) {
+        throw new Error(`The public key in ${input} does not belong to ${onionAddress}`);
+    }
+    return { onionAddress: onionAddressFromPublicKey(publicKey), publicKey };
+}
+
+// Keys in oniongen's JSON shape from a HiddenServiceDir, a bare hs_ed25519_secret_key or any key file importKey() reads
+async function readKeyFile(input, args) {
+    if (isDirectory(input)) return readHiddenServiceDir(input);
+    let contents;
+    try {
+        contents = fs.readFileSync(input);
+    } catch (err) {
+        throw new Error(`Failed to read ${input}: ${err.message}`);
+    }
+    if (contents.subarray(0, HS_SECRET_KEY_HEADER.length).toString('latin1') === HS_SECRET_KEY_HEADER) {
+        const expandedSecretKey = readTorKeyFile(input, HS_SECRET_KEY_HEADER, 64).toString('hex');
+        const publicKey = derivePubFromExpandedHex(expandedSecretKey);
+        return { onionAddress: onionAddressFromPublicKey(Buffer.from(publicKey, 'hex')), publicKey, seed: '', expandedSecretKey };
+    }
+
+    const text = contents.toString('utf8');
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        // not JSON, so PEM or OpenSSH
+    }
+    if (data && isEncrypted(data)) return decryptKeys(data, await getPassphrase({ file: args.passphraseFile }));
+    return importKey(text);
+}
+
+// The full key set as hex strings, refused unless its parts belong together
+async function readSecretKey(input, args) {
+    const keys = await readKeyFile(input, args);
+    const report = verify({ onion: keys.onionAddress, publicKey: keys.publicKey, seed: keys.seed, expandedSecretKey: keys.expandedSecretKey });
+    if (!report.ok) throw new Error(`The keys in ${input} do not belong together (check them with test.js)`);
+    const expandedSecretKey = report.expandedSecretKey || report.expandedFromSeed;
+    if (!expandedSecretKey) throw new Error(`${input} holds no secret key`);
+    return { onionAddress: report.onionAddress, publicKey: report.publicKey, seed: report.seed, expandedSecretKey };
+}
+
+function writeOutput(file, contents, args) {
+    try {
+        writeFileAtomic(file, contents, { overwrite: args.overwrite, mode: args.mode });
+    } catch (error) {
+        throw error.code === 'EEXIST' ? new Error(`${file} already exists, not overwritten`) : error;
+    }
+}
+
+function readMessage(args, file) {
+    if (args.message !== undefined) {
+        if (file !== undefined) throw new Error('Give either a file or --message, not both');
+        return Buffer.from(args.message);
+    }
+    if (file === undefined) throw new Error('Nothing to sign or verify: give a file or --message');
+    try {
+        return fs.readFileSync(file === '-' ? 0 : file);
+    } catch (err) {
+        throw new Error(`Failed to read ${file}: ${err.message}`);
+    }
+}
+
+function parseTime(text) {
+    if (/^\d+$/.test(text)) return Number(text);
+    const ms = Date.parse(text);
+    if (isNaN(ms)) throw new Error(`Invalid time "${text}" (expected unix seconds or an ISO 8601 date)`);
+    return Math.floor(ms / 1000);
+}
+
+function runBlind(args) {
+    const [input, timeArg] = args.positional;
+    if (!input) throw new Error('blind needs an onion address, key file or HiddenServiceDir');
+    if (args.period !== undefined && (args.time !== undefined || timeArg !== undefined)) {
+        throw new Error('Use either --period or a time, not both');
+    }
+
+    const { onionAddress, publicKey } = readPublicKey(input);
+    const periodLength = args.periodLength !== undefined ? parseCount(args.periodLength, '--period-length') : TIME_PERIOD_LENGTH;
+    let time = null;
+    let period;
+    if (args.period !== undefined) {
+        period = timePeriodByNumber(parseCount(args.period, '--period'), periodLength);
+    } else {
+        time = args.time !== undefined || timeArg !== undefined ? parseTime(args.time !== undefined ? args.time : timeArg) : Math.floor(Date.now() / 1000);
+        period = timePeriod(time, periodLength);
+    }
+
+    const blinded = blindPublicKey(publicKey, period.number, periodLength);
+    const result = {
+        onionAddress,
+        publicKey: publicKey.toString('hex'),
+        time,
+        timePeriod: period.number,
+        periodLength,
+        periodStart: new Date(period.start * 1000).toISOString(),
+        periodEnd: new Date(period.end * 1000).toISOString(),
+        blindedPublicKey: blinded.toString('hex'),
+        blindedPublicKeyBase64: blinded.toString('base64').replace(/=+$/, ''),
+        subcredential: subcredential(publicKey, blinded).toString('hex')
+    };
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log(`Onion Address: ${result.onionAddress}.onion`);
+    console.log(`Public Key: ${result.publicKey}`);
+    if (time !== null) console.log(`Time: ${new Date(time * 1000).toISOString()} (${time})`);
+    console.log(`Time Period: ${result.timePeriod} (${periodLength} minutes, ${result.periodStart} to ${result.periodEnd})`);
+    console.log(`Blinded Public Key: ${result.blindedPublicKey}`);
+    console.log(`Blinded Public Key (base64): ${result.blindedPublicKeyBase64}`);
+    console.log(`Subcredential: ${result.subcredential}`);
+}
+
+// The .auth file goes straight into authorized_clients/ when the key is a HiddenServiceDir
+function runAuth(args) {
+    const [input, client] = args.positional;
+    if (!input || !client) throw new Error('auth needs a key and a client name');
+    if (!CLIENT_NAME.test(client)) throw new Error('Client name may only contain letters, digits, "-" and "_"');
+
+    const { onionAddress } = readPublicKey(input);
+    const { publicKey, privateKey } = generateClientAuthKeyPair();
+    const serviceDir = isDirectory(input) ? path.join(input, 'authorized_clients') : args.outputDir;
+    fs.mkdirSync(serviceDir, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(args.outputDir, { recursive: true });
+
+    const authFile = path.join(serviceDir, `${client}.auth`);
+    const authPrivateFile = path.join(args.outputDir, `${client}.auth_private`);
+    for (const file of [authFile, authPrivateFile]) {
+        if (!args.overwrite && fs.existsSync(file)) throw new Error(`${file} already exists, not overwritten`);
+    }
+    writeFileAtomic(authFile, formatAuthFile(publicKey), { overwrite: args.overwrite });
+    writeFileAtomic(authPrivateFile, formatAuthPrivateFile(onionAddress, privateKey), { overwrite: args.overwrite });
+    privateKey.fill(0);
+
+    const result = { onionAddress, client, authFile, authPrivateFile };
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+    }
+    console.log(`Onion Address: ${onionAddress}.onion`);
+    console.log(`Client: ${client}`);
+    console.log(`Service side: ${authFile}`);
+    console.log(`Client side: ${authPrivateFile}`);
+    if (serviceDir === args.outputDir) {
+        console.log('');
+        console.log(`Copy ${client}.auth into the authorized_clients/ directory of the HiddenServiceDir and`);
+        console.log(`${client}.auth_private into the client's ClientOnionAuthDir, then reload tor.`);
+    }
+}
+
+function runAuthVerify(args) {
+    const [authFile, authPrivateFile] = args.positional;
+    if (!authFile || !authPrivateFile) throw new Error('auth-verify needs a .auth and a .auth_private file');
+    const read = file => {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read ${file}: ${err.message}`);
+        }
+    };
+
+    const report = verifyClientAuth(read(authFile), read(authPrivateFile), args.onion);
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Onion Address: ${report.onionAddress}.onion`);
+        console.log(`Public Key (.auth): ${report.publicKey}`);
+        console.log(`Public Key (from .auth_private): ${report.publicFromPrivate}`);
+        console.log('');
+        report.checks.forEach(check => console.log(`  ${check.result ? 'OK' : 'FAIL'} ${check.name}`));
+        console.log('');
+        console.log(`Result: ${report.ok ? 'OK' : 'FAIL'}`);
+    }
+    if (!report.ok) process.exit(1);
+}
+
+async function runSign(args) {
+    const [input, file] = args.positional;
+    if (!input) throw new Error('sign needs a key file or HiddenServiceDir');
+    const message = readMessage(args, file);
+    const { onionAddress, expandedSecretKey } = await readSecretKey(input, args);
+
+    const key = { onionAddress, expandedSecretKey: Buffer.from(expandedSecretKey, 'hex') };
+    let armored;
+    try {
+        armored = signMessage(message, key);
+    } finally {
+        key.expandedSecretKey.fill(0);
+    }
+    if (args.output) {
+        writeOutput(args.output, armored, { ...args, mode: 0o644 });
+        console.error(`Signature written to ${args.output}`);
+    } else {
+        process.stdout.write(armored);
+    }
+}
+
+function runVerify(args) {
+    const [address, ...rest] = args.positional;
+    const file = args.message === undefined ? rest[0] : undefined;
+    const signatureFile = args.message === undefined ? rest[1] : rest[0];
+    if (!address || !signatureFile) throw new Error('verify needs an onion address, a file or --message, and a signature');
+    const message = readMessage(args, file);
+    let armored;
+    try {
+        armored = fs.readFileSync(signatureFile, 'utf8');
+    } catch (err) {
+        throw new Error(`Failed to read ${signatureFile}: ${err.message}`);
+    }
+
+    const report = verifyMessage(address, message, armored);
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Onion Address: ${report.onionAddress}.onion`);
+        console.log(`Public Key: ${report.publicKey}`);
+        console.log(`Signed by (header): ${report.signedBy ? `${report.signedBy}.onion` : '(none)'}`);
+        console.log('');
+        report.checks.forEach(check => console.log(`  ${check.result ? 'OK' : 'FAIL'} ${check.name}`));
+        console.log('');
+        console.log(`Result: ${report.ok ? 'OK' : 'FAIL'}`);
+    }
+    if (!report.ok) process.exit(1);
+}
+
+async function runConvert(args) {
+    const [input] = args.positional;
+    if (!input) throw new Error('convert needs a key file or HiddenServiceDir');
+    const formats = [...FORMATS, 'hs-dir'];
+    if (!args.to) throw new Error(`convert needs --to ${formats.join('|')}`);
+    if (!formats.includes(args.to)) throw new Error(`unknown format "${args.to}" (expected one of: ${formats.join(', ')})`);
+    const keys = await readSecretKey(input, args);
+
+    if (args.to === 'hs-dir') {
+        if (!args.output) throw new Error('--to hs-dir needs --output <dir>');
+        const hsKeys = {
+            onionAddress: keys.onionAddress,
+            publicKey: Buffer.from(keys.publicKey, 'hex'),
+            expandedSecretKey: Buffer.from(keys.expandedSecretKey, 'hex')
+        };
+        try {
+            writeHiddenServiceDir(args.output, hsKeys, { overwrite: args.overwrite });
+        } catch (error) {
+            throw error.code === 'EEXIST' ? new Error(`${args.output} already exists, not overwritten`) : error;
+        } finally {
+            hsKeys.expandedSecretKey.fill(0);
+        }
+        console.error(`HiddenServiceDir for ${keys.onionAddress}.onion written to ${args.output}`);
+        return;
+    }
+
+    const text = exportKey(keys, args.to);
+    const contents = text.endsWith('\n') ? text : `${text}\n`;
+    if (args.output) {
+        writeOutput(args.output, contents, args);
+        console.error(`${args.to} key for ${keys.onionAddress}.onion written to ${args.output}`);
+    } else {
+        process.stdout.write(contents);
+    }
+}
+
+// Words numbered down four columns, the hex seed, and its QR code in half-block characters
+function paperBackup(keys, mnemonic) {
+    const words = mnemonic.split(' ');
+    const rows = SEED_WORDS / 4;
+    const grid = [];
+    for (let row = 0; row < rows; row++) {
+        const cells = [0, 1, 2, 3].map(col => `${String(col * rows + row + 1).padStart(2)}. ${words[col * rows + row].padEnd(9)}`);
+        grid.push(`  ${cells.join('  ').trimEnd()}`);
+    }
+    return [
+        'Onion service key backup',
+        '',
+        `Onion Address: ${keys.onionAddress}.onion`,
+        `Public Key: ${keys.publicKey}`,
+        `Created: ${new Date().toISOString().slice(0, 10)}`,
+        '',
+        `Seed words (BIP39 English wordlist, ${SEED_WORDS} words):`,
+        '',
+        ...grid,
+        '',
+        `Seed (hex): ${keys.seed.slice(0, 32)}`,
+        `            ${keys.seed.slice(32)}`,
+        '',
+        'QR code of the hex seed:',
+        '',
+        renderQR(encodeQR(keys.seed, 'Q')),
+        '',
+        'Restore with: onionkey restore --onion <address> (and type the words)',
+        'Whoever holds this page controls the onion address. Keep it as safe as the key itself.',
+        ''
+    ].join('\n');
+}
+
+async function runBackup(args) {
+    const [input] = args.positional;
+    if (!input) throw new Error('backup needs a key file');
+    const keys = await readSecretKey(input, args);
+    if (!keys.seed) {
+        throw new Error(
+            `${input} has no seed to back up. Keys from the incremental engine and HiddenServiceDirs only hold ` +
+            'the expanded secret key; keep a copy of the JSON file or HiddenServiceDir instead.'
+        );
+    }
+
+    const seed = Buffer.from(keys.seed, 'hex');
+    const mnemonic = seedToMnemonic(seed);
+    seed.fill(0);
+    let contents;
+    if (args.json) contents = `${JSON.stringify({ onionAddress: keys.onionAddress, publicKey: keys.publicKey, mnemonic }, null, 2)}\n`;
+    else contents = args.paper ? paperBackup(keys, mnemonic) : `${mnemonic}\n`;
+
+    if (args.output) {
+        writeOutput(args.output, contents, args);
+        console.error(`Backup of ${keys.onionAddress}.onion written to ${args.output}`);
+    } else {
+        process.stdout.write(contents);
+    }
+}
+
+async function runRestore(args) {
+    const [file] = args.positional;
+    let text;
+    if (file && file !== '-') {
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            throw new Error(`Failed to read ${file}: ${err.message}`);
+        }
+    } else if (process.stdin.isTTY) {
+        text = await promptHidden(`Seed words (${SEED_WORDS}, separated by spaces): `);
+    } else {
+        text = fs.readFileSync(0, 'utf8');
+    }
+
+    // The QR code on the paper backup holds the hex seed
+    const seed = /^\s*[0-9a-f]{64}\s*$/i.test(text) ? Buffer.from(text.trim(), 'hex') : mnemonicToSeed(text);
+    const keys = keysFromSeed(seed);
+    seed.fill(0);
+    if (args.onion) {
+        const expected = args.onion.toLowerCase().replace(/\.onion$/, '');
+        if (keys.onionAddress !== expected) {
+            throw new Error(`The words restore ${keys.onionAddress}.onion, not ${expected}.onion`);
+        }
+    }
+
+    fs.mkdirSync(args.outputDir, { recursive: true });
+    const outputFile = path.join(args.outputDir, `${keys.onionAddress}.json`);
+    writeOutput(outputFile, exportKey(keys, 'json'), args);
+
+    if (args.json) {
+        console.log(JSON.stringify({ onionAddress: keys.onionAddress, publicKey: keys.publicKey, file: outputFile }, null, 2));
+        return;
+    }
+    console.log(`Onion Address: ${keys.onionAddress}.onion${args.onion ? ' (matches --onion)' : ''}`);
+    console.log(`Public Key: ${keys.publicKey}`);
+    console.log(`Saved to: ${outputFile}`);
+}
+
+function openStore(args, options) {
+    return openKeystore(args.store !== undefined ? args.store : defaultKeystoreDir(), options);
+}
+
+function askYesNo(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise(resolve => {
+        rl.question(question, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+function printEntry(store, entry) {
+    console.log(`Onion Address: ${entry.onionAddress}.onion`);
+    console.log(`Public Key: ${entry.publicKey}`);
+    console.log(`Key File: ${store.keyFile(entry)}${entry.encrypted ? ' (encrypted)' : ''}`);
+    console.log(`Added: ${entry.added}`);
+    console.log(`Pattern: ${entry.pattern !== null ? entry.pattern : '(none)'}`);
+    console.log(`Source: ${entry.source !== null ? entry.source : '(unknown)'}`);
+    console.log(`Tags: ${entry.tags.length ? entry.tags.join(', ') : '(none)'}`);
+    console.log(`Note: ${entry.note || '(none)'}`);
+}
+
+function storeInit(args) {
+    const store = openStore(args, { create: true });
+    console.log(`Keystore: ${path.resolve(store.dir)}`);
+}
+
+function storeList(args) {
+    const [search] = args.positional;
+    const store = openStore(args);
+    let entries;
+    try {
+        entries = store.list({ tag: args.tag, pattern: args.pattern, search });
+    } catch (error) {
+        throw new Error(error instanceof SyntaxError ? `Invalid regex: ${error.message}` : error.message);
+    }
+    if (args.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+    }
+    const patternWidth = Math.max('Pattern'.length, ...entries.map(e => (e.pattern || '-').length));
+    console.log(`${'Onion Address'.padEnd(62)}  ${'Added'.padEnd(10)}  ${'Pattern'.padEnd(patternWidth)}  Tags / Note`);
+    entries.forEach(e => {
+        const notes = [e.tags.length ? `[${e.tags.join(', ')}]` : '', e.note].filter(Boolean).join(' ');
+        console.log(`${`${e.onionAddress}.onion`.padEnd(62)}  ${e.added.slice(0, 10)}  ${(e.pattern || '-').padEnd(patternWidth)}  ${notes}`.trimEnd());
+    });
+    console.log('');
+    console.log(`${entries.length} key(s)`);
+}
+
+function storeShow(args) {
+    const [address] = args.positional;
+    if (!address) throw new Error('store show needs an address');
+    const store = openStore(args);
+    const entry = store.get(address);
+    if (args.json) console.log(JSON.stringify({ ...entry, file: store.keyFile(entry) }, null, 2));
+    else printEntry(store, entry);
+}
+
+// Encrypted JSON files are stored as they are; everything else is checked and stored in oniongen's JSON shape
+async function storeImport(args) {
+    if (!args.positional.length) throw new Error('store import needs at least one file, directory or glob');
+    const store = openStore(args, { create: true });
+    const sources = collectKeySources(args.positional);
+    if (!sources.length) throw new Error(`No JSON files or HiddenServiceDirs found in ${args.positional.join(', ')}`);
+
+    const imported = [];
+    const failed = [];
+    for (const source of sources) {
+        try {
+            let data = null;
+            if (source.type === 'json' && source.path !== '-') {
+                try {
+                    data = JSON.parse(fs.readFileSync(source.path, 'utf8'));
+                } catch (err) {
+                    // not JSON, so another key format
+                }
+            }
+            if (!data || !isEncrypted(data)) data = JSON.parse(exportKey(await readSecretKey(source.path, args), 'json'));
+            const entry = store.add(data, {
+                pattern: args.pattern !== undefined ? args.pattern : null,
+                tags: args.tags !== undefined ? args.tags : [],
+                note: args.note !== undefined ? args.note : '',
+                source: path.resolve(source.path),
+                overwrite: args.overwrite
+            });
+            imported.push(entry);
+            if (!args.json) console.log(`Imported ${entry.onionAddress}.onion from ${source.path}${entry.encrypted ? ' (encrypted)' : ''}`);
+        } catch (error) {
+            const message = error.code === 'EEXIST' ? `${error.message} (use --overwrite to replace it)` : error.message;
+            failed.push({ path: source.path, error: message });
+            if (!args.json) console.error(`Error: ${source.path}: ${message}`);
+        }
+    }
+    if (args.json) console.log(JSON.stringify({ imported, failed }, null, 2));
+    else console.log(`Imported ${imported.length} of ${sources.length} key(s) into ${store.dir}`);
+    if (failed.length) process.exit(1);
+}
+
+function storeExport(args) {
+    const [address] = args.positional;
+    if (!address) throw new Error('store export needs an address');
+    const store = openStore(args);
+    return runConvert({ ...args, positional: [store.keyFile(store.get(address))] });
+}
+
+function storeTag(args, remove) {
+    const [address, ...tags] = args.positional;
+    if (!address || !tags.length) throw new Error(`store ${remove ? 'untag' : 'tag'} needs an address and at least one tag`);
+    const entry = openStore(args).annotate(address, remove ? { removeTags: tags } : { addTags: tags });
+    if (args.json) console.log(JSON.stringify(entry, null, 2));
+    else console.log(`${entry.onionAddress}.onion: ${entry.tags.length ? entry.tags.join(', ') : '(no tags)'}`);
+}
+
+function storeNote(args) {
+    const [address, ...words] = args.positional;
+    if (!address) throw new Error('store note needs an address and the note');
+    const entry = openStore(args).annotate(address, { note: words.join(' ') });
+    if (args.json) console.log(JSON.stringify(entry, null, 2));
+    else console.log(`${entry.onionAddress}.onion: ${entry.note || '(note removed)'}`);
+}
+
+async function storeDelete(args) {
+    const [address] = args.positional;
+    if (!address) throw new Error('store delete needs the full address');
+    const store = openStore(args);
+    const onionAddress = address.toLowerCase().replace(/\.onion$/, '');
+    const entry = store.get(onionAddress);
+    if (entry.onionAddress !== onionAddress) throw new Error(`store delete needs the full address (did you mean ${entry.onionAddress}.onion?)`);
+    if (!args.yes) {
+        if (!process.stdin.isTTY) throw new Error('store delete asks for confirmation; use --yes when not running in a terminal');
+        if (!await askYesNo(`Delete ${entry.onionAddress}.onion for good? The key cannot be recovered. [y/N] `)) {
+            console.error('Not deleted');
+            return;
+        }
+    }
+    store.remove(entry.onionAddress);
+    if (args.json) console.log(JSON.stringify({ deleted: entry.onionAddress }, null, 2));
+    else console.log(`Deleted ${entry.onionAddress}.onion (key file overwritten and removed)`);
+}
+
+async function storeCheck(args) {
+    const store = openStore(args);
+    const encrypted = store.list().some(entry => entry.encrypted);
+    const passphrase = encrypted && (args.passphraseFile || process.env[PASSPHRASE_ENV] || process.stdin.isTTY)
+        ? await getPassphrase({ file: args.passphraseFile })
+        : null;
+    const results = store.check({ passphrase });
+    const { total, passed, failed, errors } = summarize(results);
+    if (args.json) {
+        console.log(JSON.stringify({ total, passed, failed, errors, results }, null, 2));
+    } else {
+        results.forEach(r => {
+            const status = r.error ? 'ERROR' : r.ok ? 'OK' : 'FAIL';
+            console.log(`${status.padEnd(6)}  ${r.onionAddress ? `${r.onionAddress}.onion` : r.path}`);
+            if (r.error) console.log(`        ${r.error}`);
+            r.checks.filter(check => !check.result).forEach(check => console.log(`        FAIL ${check.name}`));
+        });
+        console.log('');
+        console.log(`Checked ${total} key(s): ${passed} OK, ${failed} failed, ${errors} error(s)`);
+        console.log(`Result: ${passed === total ? 'OK' : 'FAIL'}`);
+    }
+    if (passed !== total) process.exit(1);
+}
+
+const STORE_ACTIONS = {
+    init: storeInit,
+    list: storeList,
+    show: storeShow,
+    import: storeImport,
+    export: storeExport,
+    tag: args => storeTag(args, false),
+    untag: args => storeTag(args, true),
+    note: storeNote,
+    delete: storeDelete,
+    check: storeCheck
+};
+
+function runStore(args) {
+    const action = args.positional.shift();
+    if (!action) throw new Error(`store needs an action: ${Object.keys(STORE_ACTIONS).join(', ')}`);
+    if (!STORE_ACTIONS[action]) throw new Error(`unknown store action "${action}" (expected one of: ${Object.keys(STORE_ACTIONS).join(', ')})`);
+    return STORE_ACTIONS[action](args);
+}
+
+const COMMANDS = {
+    blind: runBlind,
+    auth: runAuth,
+    'auth-verify': runAuthVerify,
+    sign: runSign,
+    verify: runVerify,
+    convert: runConvert,
+    backup: runBackup,
+    restore: runRestore,
+    store: runStore
+};
+
+async function main() {
+    let args;
+    try {
+        const { options, positional } = parseOptions(process.argv.slice(2), OPTIONS);
+        args = { ...options, positional };
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error('Run with --help for usage.');
+        process.exit(1);
+    }
+
+    const command = args.positional.shift();
+    if (args.help) {
+        console.log(USAGE.join('\n'));
+        return;
+    }
+    if (!command) {
+        console.error(USAGE.join('\n'));
+        process.exit(1);
+    }
+    if (!COMMANDS[command]) fail(`unknown command "${command}" (expected one of: ${Object.keys(COMMANDS).join(', ')})`);
+
+    try {
+        await COMMANDS[command](args);
+    } catch (error) {
+        fail(error.message);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -1,73 +1,35 @@
 #!/usr/bin/env node
 
-const nacl = require('tweetnacl');
-const { sha3_256 } = require('js-sha3');
 const fs = require('fs');
 const readline = require('readline');
+const { readHiddenServiceDir } = require('./lib/hsdir');
+const { verify } = require('./lib/verify');
+const { inspectOnionAddress } = require('./lib/inspect');
+const { isEncrypted, decryptKeys } = require('./lib/keyfile');
+const { PASSPHRASE_ENV, getPassphrase } = require('./lib/passphrase');
+const { writeFileAtomic } = require('./lib/files');
+const {
+  isHiddenServiceDir,
+  collectKeySources,
+  verifyKeySource,
+  summarize,
+  jsonReport,
+  junitReport
+} = require('./lib/batch');
 
-function hexToBuffer(hex) {
-  if (hex.length % 2) throw new Error('Hex length must be even');
-  return Buffer.from(hex, 'hex');
-}
-
-function base32Encode(buf) {
-  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
-  let bits = 0;
-  let value = 0;
-  let output = '';
-
-  for (let i = 0; i < buf.length; i++) {
-    value = (value << 8) | buf[i];
-    bits += 8;
-    while (bits >= 5) {
-      const index = (value >>> (bits - 5)) & 0x1f;
-      output += alphabet[index];
-      bits -= 5;
-    }
-  }
-  if (bits > 0) {
-    const index = (value << (5 - bits)) & 0x1f;
-    output += alphabet[index];
-  }
-  return output.toLowerCase();
-}
-
-function calcOnionFromPub(pubBuf) {
-  const prefix = Buffer.from('.onion checksum', 'utf8');
-  const version = Buffer.from([0x03]);
-  const concat = Buffer.concat([prefix, pubBuf, version]);
-  const hashHex = sha3_256(concat);
-  const hashBuf = Buffer.from(hashHex, 'hex');
-  const checksum = hashBuf.slice(0, 2);
-  const onionBytes = Buffer.concat([pubBuf, checksum, version]);
-  const b32 = base32Encode(onionBytes).replace(/=/g, '');
-  return b32 + '.onion';
-}
+const REPORT_FORMATS = ['json', 'junit'];
 
-function derivePubFromSeedHex(seedHex) {
-  const clean = seedHex.trim().toLowerCase();
-  if (!/^[0-9a-f]+$/.test(clean)) throw new Error('Seed hex format error');
-  if (clean.length !== 64) {
-    throw new Error('Seed must be 64 hex characters (32 bytes).');
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch (err) {
+    return false;
   }
-  const seed = hexToBuffer(clean);
-  const kp = nacl.sign.keyPair.fromSeed(new Uint8Array(seed));
-  return Buffer.from(kp.publicKey).toString('hex');
-}
-
-function expandSeed(seed) {
-  const crypto = require('crypto');
-  const hash = crypto.createHash('sha512').update(seed).digest();
-  const expanded = Buffer.from(hash);
-  expanded[0] &= 248;
-  expanded[31] &= 127;
-  expanded[31] |= 64;
-  return expanded;
 }
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  const out = {};
+  const out = { paths: [] };
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '--json' || a === '-j') out.json = args[++i];
@@ -75,9 +37,17 @@ function parseArgs() {
     else if (a === '--pub' || a === '-p') out.pub = args[++i];
     else if (a === '--seed' || a === '-s') out.seed = args[++i];
     else if (a === '--expanded' || a === '-e') out.expanded = args[++i];
+    else if (a === '--hs-dir' || a === '-d') out.hsDir = args[++i];
+    else if (a === '--to-json') out.toJson = args[++i];
+    else if (a === '--show-secrets') out.showSecrets = true;
+    else if (a === '--batch' || a === '-b') out.batch = true;
+    else if (a === '--inspect' || a === '-i') out.inspect = args[++i];
+    else if (a === '--passphrase-file') out.passphraseFile = args[++i];
+    else if (a === '--report') out.report = args[++i];
+    else if (a === '--report-format') out.reportFormat = args[++i];
     else if (a === '--help' || a === '-h') out.help = true;
-    else if (!out.json && a.endsWith('.json')) {
-      out.json = a;
+    else if (a.endsWith('.json') || /[*?]/.test(a) || isDirectory(a)) {
+      out.paths.push(a);
     } else {
       if (!out.onion) out.onion = a;
       else if (!out.pub) out.pub = a;
@@ -85,42 +55,160 @@ function parseArgs() {
       else if (!out.expanded) out.expanded = a;
     }
   }
+
+  // A single JSON file or HiddenServiceDir keeps the detailed single-key output
+  if (out.paths.length === 1 && !out.batch && !out.report && !/[*?]/.test(out.paths[0])) {
+    const [p] = out.paths;
+    if (!isDirectory(p)) out.json = out.json || p;
+    else if (isHiddenServiceDir(p)) out.hsDir = out.hsDir || p;
+    else out.batch = true;
+  } else if (out.paths.length > 0) {
+    out.batch = true;
+  }
   return out;
 }
 
+function maskSecret(hex, show) {
+  return show ? hex : `(hidden, ${hex.length / 2} bytes; use --show-secrets to print)`;
+}
+
+function reportFormat(args) {
+  const format = args.reportFormat || (args.report.endsWith('.xml') ? 'junit' : 'json');
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(' or ')})`);
+  }
+  return format;
+}
+
+function runInspect(address) {
+  const info = inspectOnionAddress(address);
+  console.log(`Input: ${info.input}`);
+  if (info.onionAddress) console.log(`Onion Address: ${info.onionAddress}.onion`);
+  if (info.subdomain) console.log(`Subdomain: ${info.subdomain}`);
+  if (info.version !== null) console.log(`Version: ${info.version}`);
+  if (info.publicKey) {
+    console.log(`Public Key: ${info.publicKey}`);
+    console.log(`Checksum: ${info.checksum} (expected ${info.expectedChecksum})`);
+  }
+  console.log('');
+  info.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+  info.errors.forEach(error => console.log(`Error: ${error}`));
+  if (info.suggestions.length) {
+    console.log('Did you mean:');
+    info.suggestions.forEach(suggestion => console.log(`  ${suggestion}.onion`));
+  }
+  if (info.warnings.length || info.errors.length || info.suggestions.length) console.log('');
+  console.log(`Result: ${info.ok ? 'OK' : 'FAIL'}`);
+  return info.ok;
+}
+
+async function runBatch(args) {
+  if (args.report) reportFormat(args);
+  if (args.paths.length === 0) {
+    throw new Error('--batch needs at least one file, directory or glob');
+  }
+  const sources = collectKeySources(args.paths);
+  if (sources.length === 0) {
+    throw new Error(`No JSON files or HiddenServiceDirs found in ${args.paths.join(', ')}`);
+  }
+
+  // Batch mode never prompts, so encrypted files need the passphrase up front
+  const passphrase = args.passphraseFile || process.env[PASSPHRASE_ENV]
+    ? await getPassphrase({ file: args.passphraseFile, interactive: false })
+    : null;
+  const results = sources.map(source => verifyKeySource(source, { passphrase }));
+  const width = Math.max(...results.map(r => r.path.length), 'Source'.length);
+  console.log(`Result  ${'Source'.padEnd(width)}  Onion Address`);
+  results.forEach(r => {
+    const status = r.error ? 'ERROR' : r.ok ? 'OK' : 'FAIL';
+    console.log(`${status.padEnd(6)}  ${r.path.padEnd(width)}  ${r.onionAddress ? r.onionAddress + '.onion' : '-'}`);
+    if (r.error) {
+      console.log(`        ${r.error}`);
+    }
+    r.checks.filter(check => !check.result).forEach(check => {
+      console.log(`        FAIL ${check.name}`);
+    });
+  });
+
+  const { total, passed, failed, errors } = summarize(results);
+  console.log('');
+  console.log(`Verified ${total} key set(s): ${passed} OK, ${failed} failed, ${errors} error(s)`);
+  if (args.report) {
+    const report = reportFormat(args) === 'junit' ? junitReport(results) : jsonReport(results);
+    fs.writeFileSync(args.report, report);
+    console.log(`Report saved to: ${args.report}`);
+  }
+  console.log(`Result: ${passed === total ? 'OK' : 'FAIL'}`);
+  return passed === total;
+}
+
 async function interactivePrompt(q) {
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
   return new Promise(resolve => rl.question(q, ans => { rl.close(); resolve(ans); }));
 }
 
-(async function main() {
+async function main() {
   try {
     const args = parseArgs();
     if (args.help) {
-      console.log('Usage: node test.js [--json <file.json>] [--onion <address>] [--pub <pubhex>] [--seed <seedhex>] [--expanded <expandedhex>]');
+      console.log('Usage: node test.js [--json <file.json>] [--hs-dir <dir>] [--onion <address>] [--pub <pubhex>] [--seed <seedhex>] [--expanded <expandedhex>]');
+      console.log('       node test.js [--batch] [--report <file>] [--report-format json|junit] <file|dir|glob>...');
+      console.log('       node test.js --inspect <address|hostname|url>');
       console.log('');
       console.log('  --json, -j     JSON file path (contains onionAddress, publicKey, seed, expandedSecretKey)');
+      console.log('  --hs-dir, -d   Tor HiddenServiceDir (hs_ed25519_secret_key, hs_ed25519_public_key, hostname)');
+      console.log('  --to-json      Write the --hs-dir keys to this new file in oniongen JSON format');
+      console.log('  --show-secrets Print the seed and expanded secret key instead of hiding them');
       console.log('  --onion, -o    Onion address (56 base32 characters)');
       console.log('  --pub, -p      Public key (64 hex characters)');
       console.log('  --seed, -s     Seed (64 hex characters)');
       console.log('  --expanded, -e Expanded secret key (128 hex characters)');
+      console.log(`  --passphrase-file  Passphrase for encrypted JSON files (or set ${PASSPHRASE_ENV}; prompted for otherwise)`);
+      console.log('  --inspect, -i  Decode an address on its own and validate its version and checksum');
+      console.log('  --batch, -b    Verify every JSON file and HiddenServiceDir in the given paths');
+      console.log('  --report       Write a batch report to this file');
+      console.log('  --report-format json or junit (default: junit for .xml files, json otherwise)');
       console.log('');
-      console.log('If no JSON file is provided, prompts for missing values.');
+      console.log('If no JSON file or HiddenServiceDir is provided, prompts for missing values.');
+      console.log('Several paths, a glob or a directory of key files switch to batch mode, which never prompts.');
+      console.log('Exits with status 1 if any check fails.');
       process.exit(0);
     }
 
-    let onion, pubHex, seedHex, expandedHex;
+    if (args.inspect !== undefined) {
+      process.exit(runInspect(args.inspect) ? 0 : 1);
+    }
+    if (args.batch) {
+      process.exit(await runBatch(args) ? 0 : 1);
+    }
+
+    let onion, pubHex, seedHex, expandedHex, hs;
+    const fromFile = Boolean(args.json || args.hsDir);
 
-    if (args.json) {
+    if (args.toJson && !args.hsDir) {
+      throw new Error('--to-json requires --hs-dir');
+    }
+
+    if (args.hsDir) {
+      hs = readHiddenServiceDir(args.hsDir);
+      onion = hs.onionAddress;
+      pubHex = hs.publicKey;
+      seedHex = hs.seed;
+      expandedHex = hs.expandedSecretKey;
+    } else if (args.json) {
+      let jsonData;
       try {
-        const jsonData = JSON.parse(fs.readFileSync(args.json, 'utf8'));
-        onion = jsonData.onionAddress || '';
-        pubHex = jsonData.publicKey || '';
-        seedHex = jsonData.seed || '';
-        expandedHex = jsonData.expandedSecretKey || '';
+        jsonData = JSON.parse(fs.readFileSync(args.json, 'utf8'));
       } catch (err) {
         throw new Error(`Failed to read JSON file: ${err.message}`);
       }
+      if (isEncrypted(jsonData)) {
+        jsonData = decryptKeys(jsonData, await getPassphrase({ file: args.passphraseFile }));
+      }
+      onion = jsonData.onionAddress || '';
+      pubHex = jsonData.publicKey || '';
+      seedHex = jsonData.seed || '';
+      expandedHex = jsonData.expandedSecretKey || '';
     } else {
       onion = args.onion || '';
       pubHex = args.pub || '';
@@ -134,134 +222,73 @@ async function interactivePrompt(q) {
     if (!pubHex) {
       pubHex = (await interactivePrompt('Enter public key (hex, 64 chars): ')).trim();
     }
-    if (!seedHex) {
+    if (!seedHex && !fromFile) {
       seedHex = (await interactivePrompt('Enter seed (hex, 64 chars): ')).trim();
     }
-    if (!expandedHex) {
+    if (!expandedHex && !fromFile) {
       expandedHex = (await interactivePrompt('Enter expanded secret key (hex, 128 chars): ')).trim();
     }
 
-    onion = onion.trim().toLowerCase().replace(/\.onion$/, '');
-    pubHex = pubHex.trim().toLowerCase();
-    seedHex = seedHex.trim().toLowerCase();
-    expandedHex = expandedHex.trim().toLowerCase();
-
-    if (!onion || onion.length === 0) {
-      throw new Error('Onion address is required');
-    }
-    if (!/^[a-z2-7]{56}$/.test(onion)) {
-      throw new Error('Invalid onion address (must be 56 base32 characters, a-z and 2-7).');
-    }
-    if (!pubHex || pubHex.length === 0) {
-      throw new Error('Public key is required');
-    }
-    if (!/^[0-9a-f]{64}$/.test(pubHex)) {
-      throw new Error('Public key must be 64 hex characters (32 bytes).');
-    }
-    if (seedHex && !/^[0-9a-f]{64}$/.test(seedHex)) {
-      throw new Error('Seed must be 64 hex characters (32 bytes).');
-    }
-    if (expandedHex && !/^[0-9a-f]{128}$/.test(expandedHex)) {
-      throw new Error('Expanded secret key must be 128 hex characters (64 bytes).');
-    }
-
-    const pubBuf = hexToBuffer(pubHex);
-
-    const calcOnion = calcOnionFromPub(pubBuf).replace(/\.onion$/, '');
-    const onionMatchesPub = (calcOnion === onion);
+    const report = verify({ onion, publicKey: pubHex, seed: seedHex, expandedSecretKey: expandedHex });
+    const check = name => report.checks.find(c => c.name === name);
     
     console.log('Input Data:');
-    console.log(`Onion Address: ${onion + '.onion'}`);
-    console.log(`Public Key: ${pubHex}`);
-    if (seedHex) {
-      console.log(`Seed: ${seedHex}`);
+    console.log(`Onion Address: ${report.onionAddress + '.onion'}`);
+    console.log(`Public Key: ${report.publicKey}`);
+    if (report.seed) {
+      console.log(`Seed: ${maskSecret(report.seed, args.showSecrets)}`);
     }
-    if (expandedHex) {
-      console.log(`Expanded Secret Key: ${expandedHex}`);
+    if (report.expandedSecretKey) {
+      console.log(`Expanded Secret Key: ${maskSecret(report.expandedSecretKey, args.showSecrets)}`);
     }
     console.log('');
 
     console.log('1. Onion Address ↔ Public Key:');
-    console.log(`   Calculated: ${calcOnion + '.onion'}`);
-    console.log(`   Given:      ${onion + '.onion'}`);
-    console.log(`   Match: ${onionMatchesPub ? 'OK' : 'MISMATCH'}`);
+    console.log(`   Calculated: ${report.calculatedOnion + '.onion'}`);
+    console.log(`   Given:      ${report.onionAddress + '.onion'}`);
+    console.log(`   Match: ${check('Onion ↔ Public Key').result ? 'OK' : 'MISMATCH'}`);
     console.log('');
 
-    let derivedPubHex;
-    let expandedFromSeed;
-    let seedMatchesExpanded = false;
-    
-    if (seedHex) {
+    if (report.seed) {
       console.log('2. Seed ↔ Public Key:');
-      try {
-        derivedPubHex = derivePubFromSeedHex(seedHex);
-        console.log(`   Public from seed: ${derivedPubHex}`);
-        console.log(`   Match: ${derivedPubHex === pubHex ? 'OK' : 'MISMATCH'}`);
-        
-        const seed = hexToBuffer(seedHex);
-        expandedFromSeed = expandSeed(seed);
-        
-        if (expandedHex) {
-          const givenExpanded = hexToBuffer(expandedHex);
-          seedMatchesExpanded = expandedFromSeed.equals(givenExpanded);
-          console.log(`   Expanded secret match: ${seedMatchesExpanded ? 'OK' : 'MISMATCH'}`);
-        }
-        console.log('');
-      } catch (err) {
-        console.log(`   Error: ${err.message}`);
-        console.log('');
+      console.log(`   Public from seed: ${report.publicFromSeed}`);
+      console.log(`   Match: ${check('Seed ↔ Public Key').result ? 'OK' : 'MISMATCH'}`);
+      if (report.expandedSecretKey) {
+        console.log(`   Expanded secret match: ${check('Seed → Expanded Secret Key').result ? 'OK' : 'MISMATCH'}`);
       }
+      console.log('');
     }
-    
-    if (expandedHex && !seedHex) {
-      console.log('2. Expanded Secret Key:');
-      console.log('   Error: Cannot derive seed from expanded secret key');
+
+    if (report.expandedSecretKey) {
+      console.log(`${report.seed ? '3' : '2'}. Expanded Secret Key → Public Key:`);
+      console.log(`   Public from expanded key: ${report.publicFromExpanded}`);
+      console.log(`   Match: ${check('Expanded Secret Key → Public Key').result ? 'OK' : 'MISMATCH'}`);
       console.log('');
     }
 
     console.log('Summary:');
-    
-    let allChecks = [];
-    
-    allChecks.push({
-      name: 'Onion ↔ Public Key',
-      result: onionMatchesPub
-    });
-    
-    if (seedHex && derivedPubHex) {
-      allChecks.push({
-        name: 'Seed ↔ Public Key',
-        result: derivedPubHex === pubHex
-      });
-    }
-    
-    if (seedHex && expandedFromSeed) {
-      if (expandedHex) {
-        allChecks.push({
-          name: 'Seed → Expanded Secret Key',
-          result: seedMatchesExpanded
-        });
-      } else {
-        allChecks.push({
-          name: 'Seed → Expanded Secret Key',
-          result: true
-        });
-      }
-    }
-    
-    allChecks.forEach(check => {
+    report.checks.forEach(check => {
       console.log(`  ${check.result ? 'OK' : 'FAIL'} ${check.name}`);
     });
     
-    const allOk = allChecks.length > 0 && allChecks.every(check => check.result);
-    
     console.log('');
-    console.log(`Result: ${allOk ? 'OK' : 'FAIL'}`);
+    console.log(`Result: ${report.ok ? 'OK' : 'FAIL'}`);
+    // Only keys that pass every check are converted
+    if (args.toJson && report.ok) {
+      writeFileAtomic(args.toJson, JSON.stringify(hs, null, 2));
+      console.log(`Saved to: ${args.toJson}`);
+    } else if (args.toJson) {
+      console.log(`Not saved to ${args.toJson}, because a check failed`);
+    }
 
-    process.exit(0);
+    process.exit(report.ok ? 0 : 1);
 
   } catch (err) {
     console.error('Error:', err.message || err);
     process.exit(1);
   }
-})();
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+    ED25519_BASEPOINT,
+    timePeriod,
+    timePeriodByNumber,
+    blindingFactor,
+    blindPublicKey,
+    blindExpandedSecretKey,
+    subcredential
+} = require('../lib/blinding');
+const { expandSecretKey, derivePubFromSeedHex } = require('../lib/onion');
+const { packPoint, scalarBase, unpackPoint, scalarFromBytes } = require('../lib/ed25519');
+
+const PUBLIC_KEY = Buffer.from('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a', 'hex');
+
+function randomKey() {
+    const seed = crypto.randomBytes(32);
+    return {
+        publicKey: Buffer.from(derivePubFromSeedHex(seed.toString('hex')), 'hex'),
+        expandedSecretKey: expandSecretKey(seed)
+    };
+}
+
+test('timePeriod matches the rend-spec-v3 worked example', () => {
+    // 2016-04-13 11:15:01 UTC is in time period 16903
+    const period = timePeriod(1460546101);
+    assert.equal(period.number, 16903);
+    assert.equal(new Date(period.start * 1000).toISOString(), '2016-04-12T12:00:00.000Z');
+    assert.equal(new Date(period.end * 1000).toISOString(), '2016-04-13T12:00:00.000Z');
+    assert.deepEqual(timePeriodByNumber(16903), period);
+    assert.equal(timePeriod(period.start).number, 16903);
+    assert.equal(timePeriod(period.end).number, 16904);
+});
+
+test('the basepoint string holds the coordinates of the Ed25519 basepoint', () => {
+    const [x, y] = ED25519_BASEPOINT.toString().match(/\d+/g).map(BigInt);
+    const encoded = y | ((x & 1n) << 255n);
+    assert.equal(scalarFromBytes(Buffer.from(packPoint(scalarBase(Buffer.from([1]))))), encoded);
+});
+
+test('unpackPoint decodes what packPoint encodes', () => {
+    for (let i = 0; i < 8; i++) {
+        const { publicKey } = randomKey();
+        assert.deepEqual(Buffer.from(packPoint(unpackPoint(publicKey))), publicKey);
+    }
+    assert.throws(() => unpackPoint(Buffer.alloc(32, 0xff)), /Invalid point/);
+});
+
+test('the blinded secret key derives the blinded public key', () => {
+    for (let i = 0; i < 8; i++) {
+        const { publicKey, expandedSecretKey } = randomKey();
+        const period = 16903 + i;
+        const blindedPublic = blindPublicKey(publicKey, period);
+        const blindedSecret = blindExpandedSecretKey(expandedSecretKey, publicKey, period);
+
+        assert.equal(blindedSecret.length, 64);
+        assert.deepEqual(Buffer.from(packPoint(scalarBase(blindedSecret.subarray(0, 32)))), blindedPublic);
+    }
+});
+
+test('blinded keys differ between time periods and period lengths', () => {
+    const keys = new Set([
+        blindPublicKey(PUBLIC_KEY, 16903),
+        blindPublicKey(PUBLIC_KEY, 16904),
+        blindPublicKey(PUBLIC_KEY, 16903, 720)
+    ].map(key => key.toString('hex')));
+    assert.equal(keys.size, 3);
+    assert.deepEqual(blindPublicKey(PUBLIC_KEY, 16903), blindPublicKey(PUBLIC_KEY, 16903));
+});
+
+test('blinding matches the tor test vectors', () => {
+    // tor's src/test/test_hs_common.c, test_blinding_basics
+    const publicKey = Buffer.from('833990b085c1a688c1d4c8b1f6b56afaf5a2eca674449e1d704f83765ccb7bc6', 'hex');
+    const expandedSecretKey = Buffer.from(
+        'd8c7ff0e31295b66540d789af3e3df992038a9592eea01d8b7cba06d6e66d159' +
+        '4d6167696320576f7264733a20737065697373636f62616c742062697669756d', 'hex');
+    const period = timePeriod(Date.parse('1973-05-20T01:50:33Z') / 1000).number;
+    assert.equal(period, 1234);
+
+    // tor prints the blinding parameter before clamping
+    const param = Buffer.from('379e50db31fee6775abd0af6fb7c371e060308f4f847db09fe4cfe13af602287', 'hex');
+    param[0] &= 248;
+    param[31] &= 63;
+    param[31] |= 64;
+    assert.deepEqual(blindingFactor(publicKey, period), param);
+
+    const blinded = blindPublicKey(publicKey, period);
+    assert.equal(blinded.toString('hex'), '3a50bf210e8f9ee955ae0014f7a6917fb65ebf098a86305abb508d1a7291b6d5');
+    assert.equal(blindExpandedSecretKey(expandedSecretKey, publicKey, period).toString('hex'),
+        'a958dc83ac885f6814c67035de817a2c604d5d2f715282079448f789b656350b' +
+        '4540fe1f80aa3f7e91306b7bf7a8e367293352b14a29fdcc8c19f3558075524b');
+    assert.equal(subcredential(publicKey, blinded).toString('hex'),
+        '635d55907816e8d76398a675a50b1c2f3e36b42a5ca77ba3a0441285161ae07d');
+});
+
+test('onionkey blind prints the period, blinded key and subcredential', () => {
+    const result = spawnSync(process.execPath, [
+        path.join(__dirname, '..', 'onionkey.js'),
+        'blind', '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid.onion', '2016-04-13T11:15:01Z', '--json'
+    ], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(result.status, 0, result.stderr);
+
+    const output = JSON.parse(result.stdout);
+    const blinded = blindPublicKey(PUBLIC_KEY, 16903);
+    assert.equal(output.timePeriod, 16903);
+    assert.equal(output.blindedPublicKey, blinded.toString('hex'));
+    assert.equal(output.subcredential, subcredential(PUBLIC_KEY, blinded).toString('hex'));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    generateClientAuthKeyPair,
+    publicKeyFromPrivate,
+    formatAuthFile,
+    formatAuthPrivateFile,
+    parseAuthFile,
+    parseAuthPrivateFile,
+    verifyClientAuth
+} = require('../lib/clientauth');
+
+const ONION = '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid';
+
+test('publicKeyFromPrivate matches the RFC 7748 X25519 vector', () => {
+    // RFC 7748 section 6.1, Alice's key pair
+    const privateKey = Buffer.from('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a', 'hex');
+    assert.equal(publicKeyFromPrivate(privateKey).toString('hex'), '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a');
+});
+
+test('generated key pairs agree with node:crypto', () => {
+    const { publicKey, privateKey } = generateClientAuthKeyPair();
+    const jwk = {
+        kty: 'OKP',
+        crv: 'X25519',
+        d: privateKey.toString('base64url'),
+        x: publicKey.toString('base64url')
+    };
+    const nodeKey = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+    const nodePublic = crypto.createPublicKey(nodeKey).export({ format: 'jwk' }).x;
+    assert.equal(Buffer.from(nodePublic, 'base64url').toString('hex'), publicKey.toString('hex'));
+});
+
+test('auth files use tor\'s line formats and parse back', () => {
+    const { publicKey, privateKey } = generateClientAuthKeyPair();
+    const auth = formatAuthFile(publicKey);
+    const authPrivate = formatAuthPrivateFile(`${ONION}.onion`, privateKey);
+
+    assert.match(auth, /^descriptor:x25519:[A-Z2-7]{52}\n$/);
+    assert.match(authPrivate, new RegExp(`^${ONION}:descriptor:x25519:[A-Z2-7]{52}\\n$`));
+    assert.deepEqual(parseAuthFile(auth).publicKey, publicKey);
+    assert.deepEqual(parseAuthPrivateFile(authPrivate), { onionAddress: ONION, privateKey });
+});
+
+test('verifyClientAuth matches the halves of one key pair', () => {
+    const alice = generateClientAuthKeyPair();
+    const bob = generateClientAuthKeyPair();
+    const authPrivate = formatAuthPrivateFile(ONION, alice.privateKey);
+
+    assert.equal(verifyClientAuth(formatAuthFile(alice.publicKey), authPrivate, ONION).ok, true);
+    assert.equal(verifyClientAuth(formatAuthFile(bob.publicKey), authPrivate).ok, false);
+    assert.equal(verifyClientAuth(formatAuthFile(alice.publicKey), authPrivate, 'expyuzz4wqqyqhjn').ok, false);
+});
+
+test('malformed auth files are rejected', () => {
+    assert.throws(() => parseAuthFile('descriptor:ed25519:AAAA'), /unsupported key type "ed25519"/);
+    assert.throws(() => parseAuthFile('descriptor:x25519:AAAA'), /must be 52 base32 characters/);
+    assert.throws(() => parseAuthPrivateFile(`descriptor:x25519:${'A'.repeat(52)}`), /must have 4 colon-separated fields/);
+    assert.throws(() => parseAuthPrivateFile(`${ONION.replace('njq', 'nkq')}:descriptor:x25519:${'A'.repeat(52)}`), /not a valid onion address/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { parseHostPort, coordinate, joinCoordinator } = require('../lib/distributed');
+const { verify } = require('../lib/verify');
+
+test('parseHostPort accepts a port, host:port and [v6]:port', () => {
+    assert.deepEqual(parseHostPort('7439'), { host: '127.0.0.1', port: 7439 });
+    assert.deepEqual(parseHostPort('0.0.0.0:80'), { host: '0.0.0.0', port: 80 });
+    assert.deepEqual(parseHostPort('[::1]:7439'), { host: '::1', port: 7439 });
+    assert.throws(() => parseHostPort('localhost'), /Invalid address/);
+    assert.throws(() => parseHostPort('::1:7439'), /Invalid address/);
+    assert.throws(() => parseHostPort('70000'), /Invalid address/);
+});
+
+test('a coordinator collects verified, distinct matches from two nodes on loopback', async () => {
+    const search = coordinate({ patterns: [{ pattern: '^a', count: 3 }, { pattern: '^b', count: 1 }], listen: '0', token: 'secret', maxTime: 50000 });
+    const { port } = (await once(search, 'listening'))[0];
+    const matches = [];
+    search.on('match', match => matches.push(match));
+
+    const nodes = ['alpha', 'beta'].map(name => joinCoordinator({ connect: String(port), token: 'secret', name, workers: 1 }));
+    const nodeEnds = nodes.map(node => once(node, 'end'));
+    const [summary] = await once(search, 'end');
+
+    assert.equal(summary.reason, 'count');
+    assert.deepEqual(summary.patterns.map(p => p.found), [3, 1]);
+    assert.equal(new Set(matches.map(m => m.onionAddress)).size, 4);
+    matches.forEach(match => {
+        const report = verify({ onion: match.onionAddress, publicKey: match.publicKey, seed: match.seed, expandedSecretKey: match.expandedSecretKey });
+        assert.equal(report.ok, true);
+        assert.match(match.onionAddress, match.patternIndex === 0 ? /^a/ : /^b/);
+    });
+    assert.equal(summary.nodes.length, 2);
+    assert.equal(summary.attempts, summary.nodes.reduce((n, node) => n + node.attempts, 0));
+
+    for (const [end] of await Promise.all(nodeEnds)) {
+        assert.equal(end.reason, 'done');
+    }
+});
+
+test('a coordinator refuses nodes with the wrong token', async () => {
+    const search = coordinate({ pattern: '^a', count: 1, listen: '0', token: 'secret' });
+    const { port } = (await once(search, 'listening'))[0];
+    const node = joinCoordinator({ connect: String(port), token: 'guess', workers: 1 });
+    const [end] = await once(node, 'end');
+    search.stop();
+
+    assert.equal(end.reason, 'rejected');
+    assert.match(end.error.message, /invalid token/);
+    assert.equal(search.stats().nodes.length, 0);
+});
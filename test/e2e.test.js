@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const { generate } = require('../lib/generate');
+const { literalPrefix } = require('../lib/incremental');
+const { verify } = require('../lib/verify');
+
+const ROOT = path.join(__dirname, '..');
+const TIMEOUT = 60000;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function run(script, args) {
+    return spawnSync(process.execPath, [path.join(ROOT, script), ...args], {
+        encoding: 'utf8',
+        timeout: TIMEOUT
+    });
+}
+
+for (const engine of ['incremental', 'keygen']) {
+    test(`files written by the ${engine} engine pass the verifier`, (t) => {
+        const dir = tempDir(t);
+        const gen = run('oniongen.js', ['a', '2', '--workers', '1', '--engine', engine, '--no-estimate', '--hs-dir', '--output-dir', dir, '--max-time', '50s']);
+        assert.equal(gen.status, 0, gen.stderr);
+
+        const files = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+        assert.equal(files.length, 2);
+        for (const file of files) {
+            const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            assert.match(data.onionAddress, /^a[a-z2-7]{55}$/);
+            assert.equal(file, `${data.onionAddress}.json`);
+            assert.equal(data.seed.length, engine === 'keygen' ? 64 : 0);
+
+            const single = run('test.js', [path.join(dir, file)]);
+            assert.equal(single.status, 0, single.stdout);
+            assert.match(single.stdout, /Result: OK/);
+        }
+
+        const batch = run('test.js', [dir]);
+        assert.equal(batch.status, 0, batch.stdout);
+        assert.match(batch.stdout, /Verified 4 key set\(s\): 4 OK, 0 failed, 0 error\(s\)/);
+    });
+}
+
+test('literal prefixes checked on raw bytes leave out the x sign bit', () => {
+    // Seed 02 * 32 has the x sign bit set in byte 31 of its public key
+    const publicKey = Buffer.from('8139770ea87d175f56a35466c34c7ecccb8d8a91b4ee37a25df60f5b8fc9b394', 'hex');
+    const onionAddress = 'qe4xodvipulv6vvdkrtmgtd6ztfy3curwtxdpis56yhvxd6jwokbr4qd';
+    // The raw-byte check sees y only, as pack25519() leaves it
+    const y = Buffer.from(publicKey);
+    y[31] &= 0x7f;
+
+    const prefix = literalPrefix(new RegExp(`^${onionAddress.slice(0, 49)}`));
+    assert.ok(prefix.bytes.every((byte, i) => (y[i] & prefix.mask[i]) === byte));
+    // 50 characters reach the sign bit, so they are left to the regex
+    assert.equal(literalPrefix(new RegExp(`^${onionAddress.slice(0, 50)}`)), null);
+});
+
+test('the verifier exits non-zero for a tampered key file', (t) => {
+    const dir = tempDir(t);
+    const gen = run('oniongen.js', ['b', '1', '--workers', '1', '--no-estimate', '--output-dir', dir, '--max-time', '50s']);
+    assert.equal(gen.status, 0, gen.stderr);
+
+    const [file] = fs.readdirSync(dir);
+    const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    // Flipping every bit of the first byte changes the scalar even after clamping
+    const tampered = Buffer.from(data.expandedSecretKey, 'hex');
+    tampered[0] ^= 0xff;
+    data.expandedSecretKey = tampered.toString('hex');
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+
+    const result = run('test.js', [path.join(dir, file)]);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /FAIL Expanded Secret Key → Public Key/);
+});
+
+test('--to-json only converts a HiddenServiceDir that passes the checks', (t) => {
+    const dir = tempDir(t);
+    const gen = run('oniongen.js', ['d', '1', '--workers', '1', '--no-estimate', '--hs-dir', '--output-dir', dir, '--max-time', '50s']);
+    assert.equal(gen.status, 0, gen.stderr);
+    const hsDir = path.join(dir, fs.readdirSync(dir).find(name => !name.endsWith('.json')));
+
+    const converted = run('test.js', ['--hs-dir', hsDir, '--to-json', path.join(dir, 'good.json')]);
+    assert.equal(converted.status, 0, converted.stdout);
+    assert.ok(fs.existsSync(path.join(dir, 'good.json')));
+
+    const secretFile = path.join(hsDir, 'hs_ed25519_secret_key');
+    const secret = fs.readFileSync(secretFile);
+    secret[32] ^= 0xff;
+    fs.writeFileSync(secretFile, secret);
+    const refused = run('test.js', ['--hs-dir', hsDir, '--to-json', path.join(dir, 'bad.json')]);
+    assert.equal(refused.status, 1);
+    assert.match(refused.stdout, /Not saved/);
+    assert.equal(fs.existsSync(path.join(dir, 'bad.json')), false);
+});
+
+test('generate() yields matches that verify', async () => {
+    const matches = [];
+    for await (const match of generate({ pattern: '^c', count: 2, workers: 1 })) {
+        matches.push(match);
+    }
+    assert.equal(matches.length, 2);
+    for (const match of matches) {
+        assert.match(match.onionAddress, /^c/);
+        const report = verify({
+            onion: match.onionAddress,
+            publicKey: match.publicKey,
+            seed: match.seed,
+            expandedSecretKey: match.expandedSecretKey
+        });
+        assert.equal(report.ok, true);
+    }
+});
+
+test('a time budget beyond the longest timer delay does not end the search at once', async () => {
+    const search = generate({ pattern: '^zzzzzzzz', workers: 1, maxTime: 30 * 24 * 60 * 60 * 1000 });
+    const ended = once(search, 'end');
+    await new Promise(resolve => setTimeout(resolve, 200));
+    search.stop();
+    const [summary] = await ended;
+    assert.equal(summary.reason, 'stopped');
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { parseJobSpec, createJobQueue } = require('../lib/jobs');
+const { serveJobs } = require('../lib/jobserver');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Waits for the 'finished' event of job `id`
+function finished(queue, id) {
+    return new Promise(resolve => {
+        const onJob = ({ event, job }) => {
+            if (event !== 'finished' || job.id !== id) return;
+            queue.off('job', onJob);
+            resolve(job);
+        };
+        queue.on('job', onJob);
+    });
+}
+
+function request(port, method, urlPath, { body, token } = {}) {
+    return new Promise((resolve, reject) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            let text = '';
+            res.on('data', chunk => (text += chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('job specs are checked like command line patterns', () => {
+    const spec = parseJobSpec({ pattern: 'ab', maxTime: '30m', maxAttempts: '1e6', tags: 'a,b' });
+    assert.deepEqual(spec.patterns, [{ pattern: '^ab', count: 1, found: 0 }]);
+    assert.equal(spec.maxTime, 30 * 60 * 1000);
+    assert.equal(spec.maxAttempts, 1e6);
+    assert.deepEqual(spec.tags, ['a', 'b']);
+    assert.deepEqual(parseJobSpec({ patterns: [{ pattern: '^a', count: 2 }, { pattern: 'b' }] }).patterns.map(p => p.count), [2, 1]);
+
+    assert.throws(() => parseJobSpec([]), /JSON object/);
+    assert.throws(() => parseJobSpec({ pattern: '1' }), /never appears/);
+    assert.throws(() => parseJobSpec({ pattern: 'a', count: 0 }), /positive integer/);
+    assert.throws(() => parseJobSpec({ patterns: [] }), /non-empty array/);
+    assert.throws(() => parseJobSpec({ pattern: 'a', maxTime: 'soon' }), /Invalid duration/);
+    assert.throws(() => parseJobSpec({ pattern: 'a', maxTime: 0 }), /positive duration/);
+});
+
+test('jobs run in order, and finished and interrupted jobs survive a restart', async (t) => {
+    const stateFile = path.join(tempDir(t), 'jobs.json');
+    const saved = [];
+    const save = (match, job) => {
+        saved.push([job.id, match.onionAddress]);
+        return { savedTo: [`${match.onionAddress}.json`], saveErrors: [] };
+    };
+
+    const queue = createJobQueue({ stateFile, workers: 1, save });
+    queue.start();
+    const first = queue.submit({ patterns: [{ pattern: 'a', count: 2 }, { pattern: 'b' }] });
+    const second = queue.submit({ pattern: 'zzzzzzzz', maxAttempts: 1e9 });
+    assert.equal(first.status, 'running');
+    assert.equal(queue.get(second.id).position, 1);
+
+    const done = await finished(queue, first.id);
+    assert.equal(done.status, 'done');
+    assert.deepEqual(done.patterns.map(p => p.found), [2, 1]);
+    assert.deepEqual(saved.map(([id]) => id), [1, 1, 1]);
+    assert.equal(queue.get(second.id).status, 'running');
+
+    // Stopping the server puts the running job back in the queue
+    queue.close();
+    assert.equal(queue.get(second.id).status, 'queued');
+    assert.throws(() => queue.submit({ pattern: 'a' }), /closed/);
+
+    const restarted = createJobQueue({ stateFile, workers: 1, save });
+    assert.deepEqual(restarted.list().map(job => job.status), ['done', 'queued']);
+    assert.equal(restarted.get(first.id).matches.length, 3);
+    assert.deepEqual(restarted.get(first.id).matches[0].files, [`${saved[0][1]}.json`]);
+    restarted.start();
+    assert.equal(restarted.get(second.id).status, 'running');
+    assert.equal(restarted.cancel(second.id).status, 'cancelled');
+    assert.throws(() => restarted.cancel(second.id), { code: 'EFINISHED' });
+    assert.throws(() => restarted.get(99), { code: 'ENOENT' });
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).jobs[1].status, 'cancelled');
+});
+
+test('the HTTP API submits, lists, shows, returns results and cancels', async (t) => {
+    const dir = tempDir(t);
+    const save = (match) => {
+        const file = path.join(dir, `${match.onionAddress}.json`);
+        fs.writeFileSync(file, JSON.stringify({ onionAddress: match.onionAddress, publicKey: match.publicKey.toString('hex') }));
+        return { savedTo: [file], saveErrors: [] };
+    };
+    const queue = createJobQueue({ stateFile: path.join(dir, 'jobs.json'), workers: 1, save });
+    const endpoint = serveJobs('0', queue, { token: 's3cret' });
+    const [{ port }] = await once(endpoint, 'listening');
+    t.after(() => {
+        queue.close();
+        endpoint.close();
+    });
+    queue.start();
+    const api = (method, urlPath, body) => request(port, method, urlPath, { body, token: 's3cret' });
+
+    assert.equal((await request(port, 'GET', '/jobs')).status, 401);
+    assert.equal((await request(port, 'GET', '/jobs', { token: 'wrong' })).status, 401);
+    assert.equal((await api('POST', '/jobs', '{"pattern":"1"}')).status, 400);
+    assert.equal((await api('POST', '/jobs', 'not json')).status, 400);
+    assert.equal((await api('POST', '/jobs', '{"pattern":"a","maxTime":0}')).status, 400);
+    assert.equal((await api('PUT', '/jobs')).status, 405);
+    assert.equal((await api('GET', '/nothing')).status, 404);
+    assert.equal((await api('GET', '/jobs/42')).status, 404);
+
+    // Listening before the job is submitted, since it may finish before the answer arrives
+    const done = finished(queue, 1);
+    const submitted = await api('POST', '/jobs', JSON.stringify({ pattern: 'a', count: 1 }));
+    assert.equal(submitted.status, 201);
+    const { id } = submitted.body;
+    assert.equal(id, 1);
+    const long = (await api('POST', '/jobs', JSON.stringify({ pattern: 'zzzzzzzz' }))).body;
+    await done;
+
+    const list = await api('GET', '/jobs');
+    assert.deepEqual(list.body.jobs.map(job => [job.id, job.status, job.found]), [[id, 'done', 1], [long.id, 'running', 0]]);
+    const job = await api('GET', `/jobs/${id}`);
+    assert.match(job.body.matches[0].onionAddress, /^a/);
+    const results = await api('GET', `/jobs/${id}/results`);
+    assert.equal(results.body.matches[0].key.onionAddress, job.body.matches[0].onionAddress);
+
+    const cancelled = await api('DELETE', `/jobs/${long.id}`);
+    assert.equal(cancelled.body.status, 'cancelled');
+    assert.equal((await api('DELETE', `/jobs/${long.id}`)).status, 409);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptKeys, decryptKeys } = require('../lib/keyfile');
+
+const KEYS = {
+    onionAddress: '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid',
+    publicKey: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+    seed: '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60',
+    expandedSecretKey: ''
+};
+const FAST = { N: 1024, r: 8, p: 1 };
+
+test('encrypted keys decrypt with the passphrase only', () => {
+    const encrypted = encryptKeys(KEYS, 'correct horse', FAST);
+    assert.equal(encrypted.seed, undefined);
+    assert.deepEqual(decryptKeys(encrypted, 'correct horse'), KEYS);
+    assert.throws(() => decryptKeys(encrypted, 'wrong'), { code: 'EBADPASS' });
+    assert.throws(() => decryptKeys(encrypted, ''), /passphrase is required/);
+});
+
+test('scrypt parameters beyond the limits are refused before deriving a key', () => {
+    const encrypted = encryptKeys(KEYS, 'pw', FAST);
+    const withParams = params => ({
+        ...encrypted,
+        encryption: { ...encrypted.encryption, kdfParams: { ...encrypted.encryption.kdfParams, ...params } }
+    });
+    for (const params of [{ N: 2 ** 30 }, { N: 1000 }, { r: 1024 }, { p: 1e6 }, { N: 2 ** 20, r: 16 }, { salt: 42 }]) {
+        assert.throws(() => decryptKeys(withParams(params), 'pw'), /Unsupported scrypt parameters/);
+    }
+    // Within the limits the parameters are used, and here they derive the wrong key
+    assert.throws(() => decryptKeys(withParams({ N: 2048, r: 16, p: 4 }), 'pw'), { code: 'EBADPASS' });
+});
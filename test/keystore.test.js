@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { openKeystore, parseTags } = require('../lib/keystore');
+const { keysFromSeed, exportKey } = require('../lib/convert');
+const { encryptKeys } = require('../lib/keyfile');
+
+const randomKeys = () => JSON.parse(exportKey(keysFromSeed(crypto.randomBytes(32)), 'json'));
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('keys are stored, indexed and found by tag, pattern, regex and prefix', (t) => {
+    const dir = path.join(tempDir(t), 'store');
+    assert.throws(() => openKeystore(dir), /is not a keystore/);
+    const store = openKeystore(dir, { create: true });
+    const first = randomKeys();
+    const second = randomKeys();
+
+    const entry = store.add(first, { pattern: '^test', tags: 'blog, prod', note: 'main site', source: 'oniongen' });
+    store.add(second, { tags: ['staging'] });
+    assert.equal(entry.file, `keys/${first.onionAddress}.json`);
+    assert.deepEqual(JSON.parse(fs.readFileSync(store.keyFile(entry), 'utf8')), first);
+    assert.equal(fs.statSync(store.keyFile(entry)).mode & 0o777, 0o600);
+
+    assert.deepEqual(store.list().map(e => e.onionAddress), [first.onionAddress, second.onionAddress]);
+    assert.deepEqual(store.list({ tag: 'prod' }).map(e => e.onionAddress), [first.onionAddress]);
+    assert.deepEqual(store.list({ pattern: '^test' }).map(e => e.note), ['main site']);
+    assert.deepEqual(store.list({ search: `^${second.onionAddress.slice(0, 8)}` }).map(e => e.onionAddress), [second.onionAddress]);
+    assert.equal(store.get(`${first.onionAddress.slice(0, 10)}`).onionAddress, first.onionAddress);
+    assert.throws(() => store.get('zzzz'), /No key zzzz/);
+
+    assert.throws(() => store.add(first), { code: 'EEXIST' });
+    assert.throws(() => store.add({ ...first, publicKey: second.publicKey }), /does not belong/);
+    assert.throws(() => parseTags('ok, not ok'), /Invalid tag "not ok"/);
+});
+
+test('tags and notes are updated, and a deleted key file is overwritten and gone', (t) => {
+    const store = openKeystore(tempDir(t), { create: true });
+    const keys = randomKeys();
+    store.add(keys, { tags: ['a', 'b'] });
+
+    assert.deepEqual(store.annotate(keys.onionAddress, { addTags: ['c'], removeTags: ['a'] }).tags, ['b', 'c']);
+    assert.equal(store.annotate(keys.onionAddress, { note: 'retired' }).note, 'retired');
+    assert.deepEqual(store.get(keys.onionAddress).tags, ['b', 'c']);
+
+    const file = store.keyFile(store.get(keys.onionAddress));
+    assert.throws(() => store.remove(keys.onionAddress.slice(0, 20)), /full address/);
+    store.remove(`${keys.onionAddress}.onion`);
+    assert.equal(fs.existsSync(file), false);
+    assert.deepEqual(store.list(), []);
+});
+
+test('check runs the key checks, compares the index and reports unindexed files', (t) => {
+    const store = openKeystore(tempDir(t), { create: true });
+    const good = randomKeys();
+    const bad = randomKeys();
+    const encrypted = randomKeys();
+    store.add(good);
+    store.add({ ...bad, seed: randomKeys().seed });
+    store.add(encryptKeys(encrypted, 'pw', { N: 1024, r: 8, p: 1 }));
+    const orphan = randomKeys();
+    fs.writeFileSync(path.join(store.dir, 'keys', `${orphan.onionAddress}.json`), JSON.stringify(orphan));
+
+    const results = store.check({ passphrase: 'pw' });
+    assert.deepEqual(results.map(r => r.ok), [true, false, true, false]);
+    assert.ok(results[0].checks.some(c => c.name === 'Index Entry ↔ Key File' && c.result));
+    assert.ok(results[1].checks.some(c => c.name === 'Seed ↔ Public Key' && !c.result));
+    assert.match(results[3].error, /Not in the index/);
+    assert.match(store.check()[2].error, /Encrypted key file/);
+
+    // Importing the orphan indexes the file that is already there
+    const entry = store.add(orphan, { note: 'found again' });
+    assert.equal(entry.note, 'found again');
+    assert.equal(store.check({ passphrase: 'pw' }).length, 4);
+});
+
+test('an unindexed key file that differs from the added key is not taken over', (t) => {
+    const store = openKeystore(tempDir(t), { create: true });
+    const keys = randomKeys();
+    const file = path.join(store.dir, 'keys', `${keys.onionAddress}.json`);
+    fs.writeFileSync(file, JSON.stringify(keys));
+    const encrypted = encryptKeys(keys, 'pw', { N: 1024, r: 8, p: 1 });
+
+    assert.throws(() => store.add(encrypted), { code: 'EEXIST', path: file });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), keys);
+    assert.deepEqual(store.list(), []);
+
+    assert.equal(store.add(encrypted, { overwrite: true }).encrypted, true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), encrypted);
+});
+
+test('oniongen --keystore and onionkey store work together', (t) => {
+    const dir = tempDir(t);
+    const storeDir = path.join(dir, 'store');
+    const run = (script, args) => spawnSync(process.execPath, [path.join(__dirname, '..', script), ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+
+    const generated = run('oniongen.js', ['^a', '1', '--workers', '1', '--no-estimate', '--format', 'ndjson', '-q', '--keystore', storeDir, '--tags', 'demo']);
+    assert.equal(generated.status, 0, generated.stderr);
+    const match = generated.stdout.trim().split('\n').map(line => JSON.parse(line)).find(event => event.type === 'match');
+    assert.deepEqual(match.files, [path.join(storeDir, 'keys', `${match.onionAddress}.json`)]);
+    assert.deepEqual(fs.readdirSync(dir), ['store']);
+
+    const imported = randomKeys();
+    fs.writeFileSync(path.join(dir, 'import.json'), JSON.stringify(imported));
+    const importRun = run('onionkey.js', ['store', 'import', 'import.json', '--store', storeDir, '--note', 'old key']);
+    assert.equal(importRun.status, 0, importRun.stderr);
+
+    const list = run('onionkey.js', ['store', 'list', '--store', storeDir, '--json']);
+    assert.equal(list.status, 0, list.stderr);
+    const entries = JSON.parse(list.stdout);
+    assert.deepEqual(entries.map(e => [e.onionAddress, e.pattern, e.tags, e.note]), [
+        [match.onionAddress, '^a', ['demo'], ''],
+        [imported.onionAddress, null, [], 'old key']
+    ]);
+
+    const exported = run('onionkey.js', ['store', 'export', imported.onionAddress.slice(0, 12), '--to', 'jwk', '--store', storeDir]);
+    assert.equal(exported.status, 0, exported.stderr);
+    assert.equal(JSON.parse(exported.stdout).kid, `${imported.onionAddress}.onion`);
+
+    const check = run('onionkey.js', ['store', 'check', '--store', storeDir]);
+    assert.equal(check.status, 0, check.stdout);
+    assert.match(check.stdout, /Checked 2 key\(s\): 2 OK/);
+
+    const refused = run('onionkey.js', ['store', 'delete', imported.onionAddress, '--store', storeDir]);
+    assert.equal(refused.status, 1);
+    const deleted = run('onionkey.js', ['store', 'delete', imported.onionAddress, '--store', storeDir, '--yes']);
+    assert.equal(deleted.status, 0, deleted.stderr);
+    assert.equal(fs.existsSync(path.join(storeDir, 'keys', `${imported.onionAddress}.json`)), false);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { generate } = require('../lib/generate');
+const { loadMatcher, createPredicate, SLOW_MATCH_MS } = require('../lib/matcher');
+const { verify } = require('../lib/verify');
+
+function writeModules(t, modules) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const files = {};
+    for (const [name, source] of Object.entries(modules)) {
+        files[name] = path.join(dir, `${name}.js`);
+        fs.writeFileSync(files[name], source);
+    }
+    return files;
+}
+
+test('every match passes both the pattern and the matcher, which gets its options', async (t) => {
+    const files = writeModules(t, {
+        lastByte: `module.exports = {
+            init(options) { this.byte = options.byte; },
+            match(onionAddress, publicKey) { return publicKey[31] % 4 === this.byte; }
+        };`
+    });
+    const search = generate({ pattern: '^[a-m]', count: 3, workers: 1, matcher: files.lastByte, matcherOptions: { byte: 2 } });
+    const matches = [];
+    search.on('match', match => matches.push(match));
+    const [summary] = await once(search, 'end');
+
+    assert.equal(summary.reason, 'count');
+    matches.forEach(match => {
+        assert.match(match.onionAddress, /^[a-m]/);
+        assert.equal(match.publicKey[31] % 4, 2);
+        assert.equal(verify({ onion: match.onionAddress, publicKey: match.publicKey, expandedSecretKey: match.expandedSecretKey }).ok, true);
+    });
+});
+
+test('a matcher that throws is reported and the search goes on', async (t) => {
+    const files = writeModules(t, { throws: 'module.exports = () => { throw new Error("no dictionary"); };' });
+    const search = generate({ pattern: '^', workers: 1, maxAttempts: 2000, matcher: files.throws });
+    const errors = [];
+    search.on('workerError', error => errors.push(error));
+    const [summary] = await once(search, 'end');
+
+    assert.equal(summary.reason, 'max-attempts');
+    assert.equal(summary.found, 0);
+    // Repeats within the reporting interval are held back
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].fatal, false);
+    assert.match(errors[0].error.message, /^Matcher .*throws\.js threw for [a-z2-7]{56}: no dictionary; the candidate was skipped$/);
+});
+
+test('a matcher whose init fails stops its worker', async (t) => {
+    const files = writeModules(t, { badInit: 'module.exports = { async init() { throw new Error("missing list"); }, match: () => true };' });
+    const search = generate({ pattern: '^', count: 1, workers: 1, matcher: files.badInit });
+    const errors = [];
+    search.on('workerError', error => errors.push(error));
+    const [summary] = await once(search, 'end');
+
+    assert.equal(summary.reason, 'workers-exited');
+    assert.equal(errors[0].fatal, true);
+    assert.match(errors[0].error.message, /failed to initialize: missing list/);
+});
+
+test('modules that are not matchers are refused before any worker starts', (t) => {
+    const files = writeModules(t, { number: 'module.exports = 5;', badInit: 'module.exports = { init: 1, match() {} };' });
+    assert.throws(() => generate({ pattern: '^a', matcher: files.number }), /must export a function, or an object with a match\(\) function/);
+    assert.throws(() => generate({ pattern: '^a', matcher: files.badInit }), /init must be a function/);
+    assert.throws(() => loadMatcher(path.join(os.tmpdir(), 'no-such-matcher.js')), /^Error: Cannot load matcher/);
+});
+
+test('slow calls and promises are reported by the predicate', () => {
+    const reports = [];
+    const report = (key, message) => reports.push(key);
+    const slow = createPredicate({ match: () => {
+        const end = Date.now() + SLOW_MATCH_MS + 20;
+        while (Date.now() < end);
+        return true;
+    } }, {}, 'slow.js', report);
+    assert.equal(slow('a', Buffer.alloc(32)), true);
+    assert.equal(createPredicate({ match: async () => true }, {}, 'async.js', report)('a', Buffer.alloc(32)), false);
+    assert.deepEqual(reports, ['slow', 'async']);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { seedToMnemonic, mnemonicToSeed } = require('../lib/mnemonic');
+const { encodeQR, renderQR } = require('../lib/qr');
+const { exportKey, keysFromSeed } = require('../lib/convert');
+
+test('seedToMnemonic matches the BIP39 test vectors for 256-bit entropy', () => {
+    const vectors = {
+        '00': `${'abandon '.repeat(23)}art`,
+        '7f': 'legal winner thank year wave sausage worth useful '.repeat(2) + 'legal winner thank year wave sausage worth title',
+        'ff': `${'zoo '.repeat(23)}vote`
+    };
+    for (const [byte, words] of Object.entries(vectors)) {
+        const seed = Buffer.alloc(32, parseInt(byte, 16));
+        assert.equal(seedToMnemonic(seed), words);
+        assert.deepEqual(mnemonicToSeed(words), seed);
+    }
+});
+
+test('mnemonicToSeed accepts numbered lists, capitals and four-letter abbreviations', () => {
+    const seed = crypto.randomBytes(32);
+    const words = seedToMnemonic(seed).split(' ');
+    assert.deepEqual(mnemonicToSeed(words.map((word, i) => `${i + 1}. ${word.slice(0, 4).toUpperCase()}`).join('\n')), seed);
+});
+
+test('mnemonicToSeed rejects unknown words, wrong counts and swapped words', () => {
+    const words = seedToMnemonic(Buffer.alloc(32, 0x7f)).split(' ');
+    assert.throws(() => mnemonicToSeed(words.slice(1).join(' ')), /Expected 24 words, got 23/);
+    assert.throws(() => mnemonicToSeed(['legall', ...words.slice(1)].join(' ')), /Word 1 "legall" is not in the BIP39 English wordlist \(did you mean legal\?\)/);
+    assert.throws(() => mnemonicToSeed([words[1], words[0], ...words.slice(2)].join(' ')), /Checksum mismatch/);
+});
+
+test('encodeQR picks the smallest version and draws the finder patterns', () => {
+    assert.equal(encodeQR('HELLO').length, 21);
+    const modules = encodeQR('9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60', 'Q');
+    assert.equal(modules.length, 41);
+    const size = modules.length;
+    for (const [x, y] of [[0, 0], [size - 7, 0], [0, size - 7]]) {
+        assert.deepEqual(modules[y + 3].slice(x, x + 7), [true, false, true, true, true, false, true]);
+        assert.equal(modules[y][x + 6], true);
+    }
+    assert.equal(renderQR(modules).split('\n').length, Math.ceil((size + 8) / 2));
+    assert.throws(() => encodeQR('x'.repeat(200)), /do not fit/);
+});
+
+test('onionkey backup and restore round-trip a key file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const keys = keysFromSeed(crypto.randomBytes(32));
+    const keyFile = path.join(dir, `${keys.onionAddress}.json`);
+    fs.writeFileSync(keyFile, exportKey(keys, 'json'));
+    const run = (args, input) => spawnSync(process.execPath, [path.join(__dirname, '..', 'onionkey.js'), ...args], { encoding: 'utf8', input, timeout: 30000 });
+
+    const backup = run(['backup', keyFile]);
+    assert.equal(backup.status, 0, backup.stderr);
+    assert.equal(backup.stdout.trim().split(' ').length, 24);
+
+    const restoreDir = path.join(dir, 'restored');
+    const restore = run(['restore', '--onion', keys.onionAddress, '--output-dir', restoreDir], backup.stdout);
+    assert.equal(restore.status, 0, restore.stderr);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(restoreDir, `${keys.onionAddress}.json`), 'utf8')), keys);
+
+    const wrongAddress = run(['restore', '--onion', 'a'.repeat(56), '--output-dir', restoreDir], backup.stdout);
+    assert.equal(wrongAddress.status, 1);
+    assert.match(wrongAddress.stderr, /The words restore/);
+});
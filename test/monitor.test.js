@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { chanceOfHits, createMonitor, STALL_SECONDS } = require('../lib/monitor');
+const { sparkline, renderDashboard } = require('../lib/dashboard');
+const { formatMetrics, serveMetrics } = require('../lib/metrics');
+
+// A monitor on a clock the test moves by hand
+function fakeMonitor(options) {
+    let time = 0;
+    const monitor = createMonitor({ ...options, now: () => time });
+    monitor.tick = (seconds, stats) => {
+        time += seconds * 1000;
+        monitor.sample(stats);
+    };
+    return monitor;
+}
+
+test('chanceOfHits follows the Poisson distribution', () => {
+    assert.equal(chanceOfHits(0, 1 / 1024), 0);
+    assert.ok(Math.abs(chanceOfHits(1024, 1 / 1024) - (1 - Math.exp(-1))) < 1e-12);
+    assert.ok(Math.abs(chanceOfHits(2048, 1 / 1024, 2) - (1 - 3 * Math.exp(-2))) < 1e-12);
+    assert.equal(chanceOfHits(1e9, 1 / 1024, 5), 1);
+});
+
+test('the monitor reports rates, stalled and crashed workers and hit chances', () => {
+    const monitor = fakeMonitor({ workers: 3, patterns: [{ pattern: '^ab', count: 1, probability: 1 / 1024 }, { pattern: '^(a)+', count: 2, probability: null }] });
+    const stats = (a, b, c, found = 0) => ({ attempts: a + b + c, workerAttempts: [a, b, c], patterns: [{ found }, { found: 0 }] });
+    monitor.tick(0, stats(0, 0, 0));
+    monitor.tick(1, stats(100, 100, 100));
+    for (let i = 2; i <= STALL_SECONDS + 1; i++) monitor.tick(1, stats(100 * i, 100, 100 * i, 1));
+    monitor.workerError({ workerId: 2, error: new Error('boom'), fatal: true });
+
+    const snapshot = monitor.snapshot();
+    assert.equal(snapshot.attempts, 100 * (STALL_SECONDS + 1) * 2 + 100);
+    assert.deepEqual(snapshot.workers.map(w => w.status), ['running', 'stalled', 'crashed']);
+    assert.equal(snapshot.workers[0].rate, 100);
+    assert.equal(snapshot.workers[1].rate, 0);
+    assert.equal(snapshot.rate, snapshot.workers.reduce((n, w) => n + w.rate, 0));
+    assert.equal(snapshot.history.length, STALL_SECONDS + 1);
+    assert.equal(snapshot.patterns[0].found, 1);
+    assert.equal(snapshot.patterns[0].chance, chanceOfHits(snapshot.attempts, 1 / 1024));
+    assert.equal(snapshot.patterns[1].chance, null);
+
+    const lines = renderDashboard(snapshot);
+    assert.match(lines[0], /Attempts: 2,300 \| Rate: 200\/s \| Found: 1\/3/);
+    assert.match(lines.find(line => line.includes('#2')), /stalled for 10s/);
+    assert.match(lines.find(line => line.includes('#3')), /crashed: boom/);
+    assert.match(lines[lines.length - 2], /^\^ab: 1\/1 found, done$/);
+    assert.match(lines[lines.length - 1], /chance unknown/);
+});
+
+test('sparkline scales the bars to the peak', () => {
+    assert.equal(sparkline([0, 50, 100]), '▁▅█');
+    assert.equal(sparkline([0, 0]), '▁▁');
+});
+
+test('the metrics endpoint serves the counters in Prometheus text format', async () => {
+    const monitor = fakeMonitor({ workers: 1, patterns: [{ pattern: '^a"b', count: 3, probability: 1 / 32 }] });
+    monitor.tick(0, { attempts: 0, workerAttempts: [0], patterns: [] });
+    monitor.tick(1, { attempts: 64, workerAttempts: [64], patterns: [{ found: 2 }] });
+    const text = formatMetrics(monitor.snapshot());
+    assert.match(text, /^# TYPE oniongen_attempts_total counter\noniongen_attempts_total 64$/m);
+    assert.match(text, /^oniongen_worker_up\{worker="0"\} 1$/m);
+    assert.match(text, /^oniongen_matches_total\{pattern="\^a\\"b"\} 2$/m);
+
+    const endpoint = serveMetrics('0', () => monitor.snapshot());
+    const [{ port }] = await once(endpoint, 'listening');
+    try {
+        const get = path => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path }, res => {
+                let body = '';
+                res.on('data', chunk => (body += chunk));
+                res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+            }).on('error', reject);
+        });
+        const res = await get('/metrics');
+        assert.equal(res.status, 200);
+        assert.match(res.type, /^text\/plain; version=0\.0\.4/);
+        assert.equal(res.body, text);
+        assert.equal((await get('/')).status, 404);
+    } finally {
+        endpoint.close();
+    }
+});
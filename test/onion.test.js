@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+    base32Encode,
+    base32Decode,
+    onionChecksum,
+    onionAddressFromPublicKey,
+    calcOnionFromPub,
+    expandSecretKey,
+    derivePubFromSeedHex,
+    derivePubFromExpandedHex
+} = require('../lib/onion');
+
+// RFC 8032 section 7.1, TEST 1 to TEST 3: secret key (seed) -> public key
+const RFC8032_VECTORS = [
+    ['9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60', 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'],
+    ['4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb', '3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c'],
+    ['c5aa8df43f9f837bedb7442f31dcb7b166d38535076f094b85ce3a2e0b4458f7', 'fc51cd8e6218a1a38da47ed00230f0580816ed13ba3303ac5deb911548908025']
+];
+
+// rend-spec-v3 appendix A.2, also used by tor's test_hs_common.c
+const TOR_ADDRESS_VECTOR = {
+    publicKey: 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a',
+    onionAddress: '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid'
+};
+
+test('base32Encode matches the RFC 4648 vectors, unpadded and lowercase', () => {
+    const vectors = {
+        '': '',
+        'f': 'my',
+        'fo': 'mzxq',
+        'foo': 'mzxw6',
+        'foob': 'mzxw6yq',
+        'fooba': 'mzxw6ytb',
+        'foobar': 'mzxw6ytboi'
+    };
+    for (const [input, expected] of Object.entries(vectors)) {
+        assert.equal(base32Encode(Buffer.from(input)), expected);
+    }
+});
+
+test('base32Decode reverses base32Encode for every length', () => {
+    for (let length = 0; length <= 40; length++) {
+        const data = crypto.randomBytes(length);
+        assert.deepEqual(base32Decode(base32Encode(data)), data);
+    }
+    assert.equal(base32Decode('MZXW6YTBOI').toString(), 'foobar');
+});
+
+test('base32Decode rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('mzxw1'), /Invalid base32 character "1" at position 5/);
+});
+
+test('onionAddressFromPublicKey matches the rend-spec-v3 vector', () => {
+    const publicKey = Buffer.from(TOR_ADDRESS_VECTOR.publicKey, 'hex');
+    assert.equal(onionAddressFromPublicKey(publicKey), TOR_ADDRESS_VECTOR.onionAddress);
+    assert.equal(calcOnionFromPub(publicKey), `${TOR_ADDRESS_VECTOR.onionAddress}.onion`);
+});
+
+test('an address decodes to its public key, checksum and version', () => {
+    const publicKey = crypto.randomBytes(32);
+    const decoded = base32Decode(onionAddressFromPublicKey(publicKey));
+    assert.equal(decoded.length, 35);
+    assert.deepEqual(decoded.subarray(0, 32), publicKey);
+    assert.deepEqual(decoded.subarray(32, 34), onionChecksum(publicKey));
+    assert.equal(decoded[34], 3);
+});
+
+test('expandSecretKey is SHA-512 of the seed with the scalar clamped', () => {
+    for (const [seedHex] of RFC8032_VECTORS) {
+        const seed = Buffer.from(seedHex, 'hex');
+        const hash = crypto.createHash('sha512').update(seed).digest();
+        const expanded = expandSecretKey(seed);
+
+        assert.equal(expanded.length, 64);
+        assert.equal(expanded[0] & 7, 0);
+        assert.equal(expanded[31] & 0x80, 0);
+        assert.equal(expanded[31] & 0x40, 0x40);
+        assert.equal(expanded[0], hash[0] & 248);
+        assert.equal(expanded[31], (hash[31] & 127) | 64);
+        assert.deepEqual(expanded.subarray(1, 31), hash.subarray(1, 31));
+        assert.deepEqual(expanded.subarray(32), hash.subarray(32));
+    }
+});
+
+test('seeds derive the RFC 8032 public keys', () => {
+    for (const [seed, publicKey] of RFC8032_VECTORS) {
+        assert.equal(derivePubFromSeedHex(seed), publicKey);
+    }
+});
+
+test('expanded secret keys derive the RFC 8032 public keys', () => {
+    for (const [seed, publicKey] of RFC8032_VECTORS) {
+        const expanded = expandSecretKey(Buffer.from(seed, 'hex')).toString('hex');
+        assert.equal(derivePubFromExpandedHex(expanded), publicKey);
+    }
+});
+
+test('seed and expanded key derivations agree with node:crypto', () => {
+    for (let i = 0; i < 8; i++) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        const seed = privateKey.export({ format: 'jwk' }).d;
+        const expected = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+        const seedHex = Buffer.from(seed, 'base64url').toString('hex');
+
+        assert.equal(derivePubFromSeedHex(seedHex), expected);
+        assert.equal(derivePubFromExpandedHex(expandSecretKey(Buffer.from(seedHex, 'hex')).toString('hex')), expected);
+    }
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const { parseWordList, createScorer, createRankMatcher } = require('../lib/scoring');
+const { rank } = require('../lib/rank');
+const { verify } = require('../lib/verify');
+
+const WORDS = parseWordList('# test words\ntor 2\nonion\nion\nhidden 0.5\n');
+const padded = text => text.padEnd(56, '2');
+
+test('parseWordList reads weights and rejects what cannot appear in an address', () => {
+    assert.deepEqual(WORDS, [
+        { word: 'tor', weight: 2 },
+        { word: 'onion', weight: 1 },
+        { word: 'ion', weight: 1 },
+        { word: 'hidden', weight: 0.5 }
+    ]);
+    assert.throws(() => parseWordList('onion\nzero0\n'), /^Error: Line 2: expected/);
+    assert.throws(() => parseWordList('onion -1'), /weight must be a positive number/);
+    assert.throws(() => parseWordList('# nothing\n'), /empty/);
+});
+
+test('anywhere mode adds up the best non-overlapping words', () => {
+    const scorer = createScorer({ words: WORDS });
+    // onion (25) beats the overlapping ion (9); tor counts 2·9
+    assert.equal(scorer.score(padded('22onion22tor')), 25 + 18);
+    assert.deepEqual(scorer.explain(padded('22onion22tor')).words, [{ word: 'onion', index: 2 }, { word: 'tor', index: 9 }]);
+    assert.equal(scorer.score(padded('hidden')), 18);
+    assert.equal(scorer.score(padded('')), 0);
+});
+
+test('start mode only counts a chain of words from the first character', () => {
+    const scorer = createScorer({ words: WORDS, mode: 'start' });
+    assert.equal(scorer.score(padded('toronion')), 18 + 25);
+    assert.deepEqual(scorer.explain(padded('toronion')).words.map(w => w.word), ['tor', 'onion']);
+    assert.equal(scorer.score(padded('2toronion')), 0);
+    assert.throws(() => createScorer({ mode: 'middle' }), /Unknown score mode "middle"/);
+});
+
+test('a rank matcher only keeps candidates that beat its k-th best score', () => {
+    const matcher = createRankMatcher(createScorer({ words: WORDS }), 2);
+    assert.equal(matcher.firstMatch(padded('ion')), 0);
+    assert.equal(matcher.firstMatch(padded('tor')), 0);
+    assert.equal(matcher.firstMatch(padded('ion')), -1);
+    assert.equal(matcher.firstMatch(padded('onion')), 0);
+    matcher.setThreshold(30);
+    assert.equal(matcher.firstMatch(padded('onion')), -1);
+    assert.equal(matcher.firstMatch(padded('onion2tor')), 0);
+});
+
+test('rank keeps the best addresses with valid keys until its budget runs out', async () => {
+    const search = rank({ keep: 3, workers: 2, maxAttempts: 20000 });
+    const [summary] = await once(search, 'end');
+    const scorer = createScorer();
+
+    assert.equal(summary.reason, 'max-attempts');
+    assert.equal(summary.leaderboard.length, 3);
+    summary.leaderboard.forEach((entry, i) => {
+        assert.equal(entry.rank, i + 1);
+        assert.equal(entry.score, scorer.score(entry.onionAddress));
+        if (i > 0) assert.ok(entry.score <= summary.leaderboard[i - 1].score);
+        const report = verify({ onion: entry.onionAddress, publicKey: entry.publicKey, expandedSecretKey: entry.expandedSecretKey });
+        assert.equal(report.ok, true);
+    });
+});
+
+test('oniongen --best writes the key files and the final leaderboard', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const wordsFile = path.join(dir, 'words.txt');
+    fs.writeFileSync(wordsFile, 'a\nb\nc\n');
+    const run = () => spawnSync(process.execPath, [
+        path.join(__dirname, '..', 'oniongen.js'),
+        '--best', '2', '--words', wordsFile, '--max-attempts', '5000', '--workers', '1', '--output-dir', dir, '-q'
+    ], { encoding: 'utf8', timeout: 30000 });
+
+    const result = run();
+    assert.equal(result.status, 0, result.stderr);
+    const leaderboard = JSON.parse(fs.readFileSync(path.join(dir, 'leaderboard.json'), 'utf8'));
+    assert.equal(leaderboard.final, true);
+    assert.equal(leaderboard.entries.length, 2);
+    for (const entry of leaderboard.entries) {
+        assert.equal(entry.seed, undefined);
+        const keys = JSON.parse(fs.readFileSync(entry.files[0], 'utf8'));
+        assert.equal(keys.onionAddress, entry.onionAddress);
+    }
+
+    const again = run();
+    assert.equal(again.status, 1);
+    assert.match(again.stderr, /leaderboard\.json already exists/);
+});
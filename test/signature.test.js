@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { signWithExpandedKey, signMessage, parseSignature, verifyMessage } = require('../lib/signature');
+const { expandSecretKey } = require('../lib/onion');
+const { writeHiddenServiceDir } = require('../lib/hsdir');
+
+// RFC 8032 section 7.1, TEST 1
+const SEED = Buffer.from('9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60', 'hex');
+const PUBLIC_KEY = Buffer.from('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a', 'hex');
+const ONION = '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid';
+const EXPANDED = expandSecretKey(SEED);
+
+test('signing with the expanded key matches the RFC 8032 vector and node:crypto', () => {
+    assert.equal(
+        signWithExpandedKey(Buffer.alloc(0), EXPANDED).toString('hex'),
+        'e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b'
+    );
+    const privateKey = crypto.createPrivateKey({
+        key: { kty: 'OKP', crv: 'Ed25519', d: SEED.toString('base64url'), x: PUBLIC_KEY.toString('base64url') },
+        format: 'jwk'
+    });
+    const message = crypto.randomBytes(100);
+    assert.deepEqual(signWithExpandedKey(message, EXPANDED), crypto.sign(null, message, privateKey));
+});
+
+test('an armored signature verifies against the onion address alone', () => {
+    const armored = signMessage('example.com is run by us', { onionAddress: ONION, expandedSecretKey: EXPANDED });
+    assert.match(armored, /^-----BEGIN ONION SIGNATURE-----\nVersion: 1\nOnion-Address: 25njq[a-z2-7]+\.onion\n/);
+
+    const report = verifyMessage(`${ONION}.onion`, 'example.com is run by us', armored);
+    assert.equal(report.ok, true);
+    assert.equal(report.signedBy, ONION);
+
+    // Line endings and indentation picked up in transit don't matter
+    assert.equal(verifyMessage(ONION, 'example.com is run by us', armored.replace(/\n/g, '\r\n  ')).ok, true);
+});
+
+test('a signature fails for another message or another address', () => {
+    const armored = signMessage(Buffer.from('original'), { expandedSecretKey: EXPANDED });
+    const tampered = verifyMessage(ONION, 'tampered', armored);
+    assert.equal(tampered.ok, false);
+    assert.deepEqual(tampered.checks.map(check => check.result), [false, true]);
+
+    const other = crypto.randomBytes(32);
+    const otherAddress = signMessage('x', { expandedSecretKey: expandSecretKey(other) }).match(/Onion-Address: (\S+)/)[1];
+    assert.equal(verifyMessage(otherAddress, 'original', armored).ok, false);
+});
+
+test('signMessage refuses a key for another address, and malformed signatures are rejected', () => {
+    assert.throws(() => signMessage('x', { onionAddress: 'a'.repeat(56), expandedSecretKey: EXPANDED }), /does not belong/);
+    const armored = signMessage('x', { expandedSecretKey: EXPANDED });
+    assert.throws(() => parseSignature('no armor'), /Not an armored signature/);
+    assert.throws(() => parseSignature(armored.replace('Version: 1', 'Version: 2')), /Unsupported signature version/);
+    assert.throws(() => parseSignature(armored.replace(/\n[A-Za-z0-9+/]{20}/, '\n')), /64 bytes of base64/);
+});
+
+test('onionkey sign and verify work with a HiddenServiceDir', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oniongen-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const hsDir = writeHiddenServiceDir(path.join(dir, ONION), { onionAddress: ONION, publicKey: PUBLIC_KEY, expandedSecretKey: EXPANDED });
+    const run = args => spawnSync(process.execPath, [path.join(__dirname, '..', 'onionkey.js'), ...args], { encoding: 'utf8', timeout: 30000 });
+
+    const signature = path.join(dir, 'statement.sig');
+    const sign = run(['sign', hsDir, '--message', 'hello', '--output', signature]);
+    assert.equal(sign.status, 0, sign.stderr);
+
+    const ok = run(['verify', ONION, '--message', 'hello', signature]);
+    assert.equal(ok.status, 0, ok.stdout);
+    assert.match(ok.stdout, /Result: OK/);
+    assert.equal(run(['verify', ONION, '--message', 'hello!', signature]).status, 1);
+});
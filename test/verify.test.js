@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verify } = require('../lib/verify');
+const { inspectOnionAddress } = require('../lib/inspect');
+const { expandSecretKey } = require('../lib/onion');
+
+const SEED = '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60';
+const PUBLIC_KEY = 'd75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a';
+const ONION = '25njqamcweflpvkl73j4szahhihoc4xt3ktcgjnpaingr5yhkenl5sid';
+const EXPANDED = expandSecretKey(Buffer.from(SEED, 'hex')).toString('hex');
+
+test('verify passes every check for a matching key set', () => {
+    const report = verify({ onion: `${ONION}.onion`, publicKey: PUBLIC_KEY, seed: SEED, expandedSecretKey: EXPANDED });
+    assert.equal(report.ok, true);
+    assert.equal(report.checks.length, 4);
+    assert.ok(report.checks.every(check => check.result));
+});
+
+test('verify reports the check that does not match', () => {
+    const otherSeed = SEED.replace(/^9d/, '9e');
+    const report = verify({ onion: ONION, publicKey: PUBLIC_KEY, seed: otherSeed, expandedSecretKey: EXPANDED });
+    assert.equal(report.ok, false);
+    const failed = report.checks.filter(check => !check.result).map(check => check.name);
+    assert.deepEqual(failed, ['Seed ↔ Public Key', 'Seed → Expanded Secret Key']);
+});
+
+test('verify throws on malformed input', () => {
+    assert.throws(() => verify({ onion: 'short', publicKey: PUBLIC_KEY }), /Invalid onion address/);
+    assert.throws(() => verify({ onion: ONION, publicKey: 'abcd' }), /Public key must be 64 hex characters/);
+});
+
+test('inspectOnionAddress extracts the key from an address inside a URL', () => {
+    const info = inspectOnionAddress(`http://www.${ONION}.onion:8080/index.html`);
+    assert.equal(info.ok, true);
+    assert.equal(info.subdomain, 'www');
+    assert.equal(info.version, 3);
+    assert.equal(info.publicKey, PUBLIC_KEY);
+});
+
+test('inspectOnionAddress catches typos, wrong versions and v2 addresses', () => {
+    const typo = inspectOnionAddress(ONION.replace('njq', 'nkq'));
+    assert.equal(typo.ok, false);
+    assert.match(typo.errors[0], /Checksum mismatch/);
+    assert.ok(typo.suggestions.includes(ONION));
+
+    const version = inspectOnionAddress(ONION.slice(0, -1) + 'e');
+    assert.equal(version.ok, false);
+    assert.equal(version.version, 4);
+
+    const v2 = inspectOnionAddress('expyuzz4wqqyqhjn.onion');
+    assert.equal(v2.ok, false);
+    assert.equal(v2.version, 2);
+});